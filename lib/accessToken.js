@@ -1,41 +1,133 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import {discoverIssuer} from './discovery.js';
+import {checkRevocation, recordTokenUse} from './revocation.js';
+import {
+  decryptAccessToken, isEncryptedAccessToken
+} from './encryptedAccessToken.js';
+import {discoverIssuer, refreshIssuerConfig} from './discovery.js';
+import {_recordAccessTokenCheck} from './observability.js';
+import {checkCertificateBinding} from './mtls.js';
+import {checkDelegation} from './delegation.js';
+import {checkDpopProof} from './dpop.js';
+import {checkUserAuthentication} from './userAuthentication.js';
+import {createNotAllowedError} from './helpers.js';
+import {getAccessTokenFromRequest} from './tokenSources.js';
+import {getTrustedIssuer} from './trustedIssuers.js';
+import {introspectAccessToken} from './introspection.js';
 import {jwtVerify} from 'jose';
 
 const {util: {BedrockError}} = bedrock;
 
-const OAUTH2_TOKEN_REGEX = /^Bearer (.+)$/i;
+const BINDING_MODES = new Set(['optional', 'required']);
 
 /**
  * Checks an OAuth2 JWT access token. The only claims checked will be:
  * `typ`, `iss`, `aud`, `exp`, `nbf`. Scopes must be checked externally.
  *
+ * An encrypted access token (a JWT that was signed and then encrypted) is
+ * first decrypted using the decryption keys configured for the `audience`;
+ * if the audience comes from a trusted issuer entry instead, the keys for
+ * all audiences are tried and the key used must be one configured for that
+ * entry's audience; see `decryptAccessToken()`.
+ *
  * @param {object} options - The options to use.
  * @param {object} [options.req] - The HTTP request interface, providing a
- *   `get()` function to access the `authorization` header; this or "jwt"
- *   must be given, but not both.
+ *   `get()` function to access its headers; the access token is read from
+ *   the request's allowed token sources; this or "jwt" must be given, but
+ *   not both.
+ * @param {Array} [options.tokenSources] - The ordered list of allowed
+ *   sources for the access token in "req": `header`, `body`, `query`, or
+ *   `{cookie: '<name>'}`; defaults to the `tokenSources` config value; see
+ *   `getAccessTokenFromRequest()`.
  * @param {string} [options.jwt] - The JWT; this or "req" must be given, but
  *   not both.
- * @param {string} options.issuerConfigUrl - The URL for the config (meta data)
- *   for the trusted issuer.
+ * @param {string} [options.issuerConfigUrl] - The URL for the config (meta
+ *   data) for the trusted issuer; if not given, the issuer is selected from
+ *   the trusted issuer registry using the JWT's (unverified) `iss` claim.
+ * @param {object} [options.trustedIssuers] - A trusted issuer registry to
+ *   use instead of the configured one when "issuerConfigUrl" is not given;
+ *   see `getTrustedIssuer()`; the selected entry's `allowedAlgorithms`,
+ *   `audience`, and `typ` are used unless given as options.
  * @param {Array} [options.allowedAlgorithms] - An allow list of JOSE
  *   algorithms; the `none` algorithm is automatically disallowed.
  * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
  *   in seconds (when verifying time-based claims).
- * @param {string} options.audience - A string that represents the expected
- *   (and allowed) `audience` claim for the JWT.
+ * @param {string} [options.audience] - A string that represents the expected
+ *   (and allowed) `audience` claim for the JWT; required unless given by the
+ *   selected trusted issuer registry entry.
  * @param {string} [options.typ='at-jwt'] - A string that represents the
  *   expected (and allowed) `typ` claim for the JWT.
+ * @param {string} [options.dpop] - Set to `optional` to also accept
+ *   DPoP-bound access tokens sent via "Authorization: DPoP <token>" or to
+ *   `required` to only accept those (RFC 9449); a DPoP proof is then checked
+ *   and "req" must be given; by default, only "Bearer" tokens are accepted.
+ * @param {string} [options.requestUrl] - The absolute URL of the request
+ *   to check the DPoP proof `htu` claim against; defaults to the request's
+ *   `host` header and `originalUrl` with an `https` scheme.
+ * @param {string} [options.mtls] - Set to `optional` to check that any
+ *   certificate-bound access token (RFC 8705) is bound to the client
+ *   certificate used with the request or to `required` to only accept
+ *   such tokens; "req" must be given.
+ * @param {boolean} [options.introspect=false] - Set to `true` to check the
+ *   access token, which may then be opaque, using the issuer's introspection
+ *   endpoint (RFC 7662) instead of verifying it as a JWT; see
+ *   `introspectAccessToken()`.
+ * @param {object} [options.clientCredentials] - The `clientId` and
+ *   `clientSecret` to use with the introspection endpoint; defaults to the
+ *   credentials configured for `issuerConfigUrl`.
+ * @param {boolean} [options.singleUse] - Set to `true` to reject any reuse
+ *   of the access token (by its `jti` claim, which is then required); see
+ *   `recordTokenUse()`; defaults to the `revocation.singleUse` config
+ *   value. Access tokens with a revoked (denylisted) `jti`, `sub`, or
+ *   `client_id` claim are always rejected; see `addRevocation()`.
+ * @param {Array<string>} [options.acrValues] - Step-up authentication
+ *   (RFC 9470): the acceptable values for the access token's `acr` claim;
+ *   see `checkUserAuthentication()`.
+ * @param {number} [options.maxAuthAge] - Step-up authentication (RFC 9470):
+ *   the maximum age of the access token's `auth_time` claim in seconds; see
+ *   `checkUserAuthentication()`.
+ * @param {object} [options.delegation] - Token exchange delegation
+ *   requirements (RFC 8693) for the access token's `act` claim: whether
+ *   delegated access tokens are `allowed` at all, their `maxDepth`, and the
+ *   allowed `actors` at each level; see `checkDelegation()`.
  *
- * @returns {Promise<object>} An object with `issuer`, `jwks`, and full
- *   meta data config in `config`.
+ * @returns {Promise<object>} An object with the verified `payload` and
+ *   `protectedHeader` (unless introspected), the delegation `actorChain`,
+ *   current actor first (see `checkDelegation()`), and the `tokenSource`
+ *   that supplied the access token in "req" (`header`, `body`, `query`, or
+ *   `cookie`); a response to a request that used `query` should include
+ *   `Cache-Control: private`.
  */
-export async function checkAccessToken({
+export async function checkAccessToken(options = {}) {
+  // only non-sensitive values are recorded (never the access token); see
+  // `getStats()`
+  const context = {
+    issuerConfigUrl: options.issuerConfigUrl, audience: options.audience
+  };
+  const start = Date.now();
+  try {
+    const result = await _checkAccessToken({...options, context});
+    _recordAccessTokenCheck({
+      ...context, issuer: result.payload?.iss, duration: Date.now() - start
+    });
+    return result;
+  } catch(error) {
+    _recordAccessTokenCheck({
+      ...context, duration: Date.now() - start, error
+    });
+    throw error;
+  }
+}
+
+async function _checkAccessToken({
   req, jwt,
+  // optional allowed access token sources in `req` (RFC 6750)
+  tokenSources,
   issuerConfigUrl,
+  // optional trusted issuer registry
+  trustedIssuers,
   // e.g. ['EdDSA', 'ES256', 'ES256K', 'ES521']
   allowedAlgorithms,
   // default is to permit 300 seconds of clock skew
@@ -44,42 +136,178 @@ export async function checkAccessToken({
   audience,
   // optional override for token `typ` claim;
   // standard JWT access token type required by default
-  typ = 'at+jwt'
-} = {}) {
+  typ,
+  // optional DPoP mode (RFC 9449)
+  dpop,
+  requestUrl,
+  // optional mTLS certificate-bound token mode (RFC 8705)
+  mtls,
+  // optional token introspection mode (RFC 7662)
+  introspect = false,
+  clientCredentials,
+  // optional single use token mode
+  singleUse = bedrock.config['oauth2-verifier'].revocation.singleUse,
+  // optional step-up authentication requirements (RFC 9470)
+  acrValues,
+  maxAuthAge,
+  // optional delegation requirements (RFC 8693)
+  delegation,
+  // values to record about the check
+  context
+}) {
   if(!(req || jwt)) {
     throw new TypeError('One of "req" or "jwt" is required.');
   }
   if(req && jwt) {
     throw new TypeError('Only one of "req" or "jwt" must be given.');
   }
-  if(!(audience && typeof audience === 'string')) {
-    throw new TypeError('"audience" must be a string.');
+  if(!(dpop === undefined || BINDING_MODES.has(dpop))) {
+    throw new TypeError('"dpop" must be "optional" or "required".');
+  }
+  if(!(mtls === undefined || BINDING_MODES.has(mtls))) {
+    throw new TypeError('"mtls" must be "optional" or "required".');
+  }
+  if((dpop || mtls) && !req) {
+    throw new TypeError('"req" is required when "dpop" or "mtls" is given.');
+  }
+  if(introspect && issuerConfigUrl === undefined) {
+    throw new TypeError(
+      '"issuerConfigUrl" is required when "introspect" is set.');
   }
 
   // get access token
+  let scheme;
+  let tokenSource;
   if(req) {
-    jwt = req.get('authorization')?.match(OAUTH2_TOKEN_REGEX)?.[1];
-  }
-  if(!jwt) {
-    throw new BedrockError(
-      'Access token validation failed.', {
-        name: 'NotAllowedError',
-        details: {
-          httpStatusCode: 403,
-          public: true,
-          code: 'ERR_JWT_INVALID',
-          reason: `Access token not provided or invalid.`
-        }
+    ({scheme, token: jwt, source: tokenSource} = getAccessTokenFromRequest({
+      req, sources: tokenSources, dpop
+    }));
+  }
+
+  // decrypt nested JWT (signed, then encrypted); the inner JWT is verified
+  // whilst the access token as sent is used for DPoP proof checks; if no
+  // audience is given yet (it may come from a trusted issuer), the keys for
+  // all audiences are tried
+  let innerJwt = jwt;
+  let decryptionAudience;
+  if(!introspect && isEncryptedAccessToken({jwt})) {
+    ({jwt: innerJwt, audience: decryptionAudience} =
+      await decryptAccessToken({jwt, audience}));
+  }
+
+  // select trusted issuer using the unverified `iss` claim (multi-issuer)
+  if(issuerConfigUrl === undefined) {
+    const entry = getTrustedIssuer({jwt: innerJwt, trustedIssuers});
+    issuerConfigUrl = entry.issuerConfigUrl;
+    allowedAlgorithms = allowedAlgorithms ?? entry.allowedAlgorithms;
+    audience = audience ?? entry.audience;
+    typ = typ ?? entry.typ;
+  }
+  typ = typ ?? 'at+jwt';
+  if(!(audience && typeof audience === 'string')) {
+    throw new TypeError('"audience" must be a string.');
+  }
+  context.issuerConfigUrl = issuerConfigUrl;
+  context.audience = audience;
+
+  // an encrypted access token must be decrypted by a key for its audience
+  if(decryptionAudience !== undefined && decryptionAudience !== audience) {
+    throw createNotAllowedError({
+      code: 'ERR_JWE_DECRYPTION_FAILED',
+      reason: 'Access token was not encrypted for the expected audience.'
+    });
+  }
+
+  let verifyResult;
+  if(introspect) {
+    // the access token may be opaque (not a JWT) when introspecting
+    verifyResult = await introspectAccessToken({
+      token: jwt, issuerConfigUrl, audience, maxClockSkew, clientCredentials
+    });
+  } else {
+    verifyResult = await _verifyJwt({
+      jwt: innerJwt, issuerConfigUrl, allowedAlgorithms, maxClockSkew,
+      audience, typ
+    });
+  }
+  const {payload} = verifyResult;
+
+  // check revoked claims (denylist)
+  await checkRevocation({payload});
+
+  // check step-up authentication requirements (RFC 9470)
+  checkUserAuthentication({payload, acrValues, maxAuthAge, maxClockSkew});
+
+  // check token exchange delegation chain (RFC 8693)
+  const {actorChain} = checkDelegation({payload, ...delegation});
+
+  // check DPoP proof-of-possession (RFC 9449)
+  if(dpop) {
+    const jkt = payload.cnf?.jkt;
+    if(scheme === 'DPoP') {
+      await checkDpopProof({
+        req, accessToken: jwt, jkt,
+        requestUrl: requestUrl ?? `https://${req.get('host')}${req.originalUrl}`,
+        maxClockSkew
       });
+    } else if(jkt !== undefined) {
+      // a DPoP-bound access token must not be accepted as a bearer token
+      throw createNotAllowedError({
+        code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+        reason: 'DPoP-bound access token must use the "DPoP" scheme.',
+        claim: 'cnf'
+      });
+    }
+  }
+
+  // check mTLS certificate binding (RFC 8705)
+  if(mtls) {
+    checkCertificateBinding({
+      req, payload, required: mtls === 'required'
+    });
+  }
+
+  // record single use token only once all other checks have passed
+  if(singleUse) {
+    await recordTokenUse({payload, maxClockSkew});
   }
 
+  return {...verifyResult, actorChain, tokenSource};
+}
+
+async function _verifyJwt({
+  jwt, issuerConfigUrl, allowedAlgorithms, maxClockSkew, audience, typ
+}) {
   // discover issuer oauth2 authz server config
   const {issuer, jwks} = await discoverIssuer({issuerConfigUrl});
 
+  const options = {allowedAlgorithms, maxClockSkew, audience, typ};
+  try {
+    return await _jwtVerify({jwt, issuer, jwks, ...options});
+  } catch(e) {
+    // the issuer may have rotated its keys since its JWKs were cached; try
+    // to refresh them (at most once and subject to a cooldown) and verify
+    // again; if the refresh fails, the original error is used
+    if(e.details?.code !== 'ERR_JWKS_NO_MATCHING_KEY') {
+      throw e;
+    }
+    const refreshed = await refreshIssuerConfig({issuerConfigUrl})
+      .catch(() => null);
+    if(!refreshed) {
+      throw e;
+    }
+    return _jwtVerify({
+      jwt, issuer: refreshed.issuer, jwks: refreshed.jwks, ...options
+    });
+  }
+}
+
+async function _jwtVerify({
+  jwt, issuer, jwks, allowedAlgorithms, maxClockSkew, audience, typ
+}) {
   // use `jose` lib (for now) to verify JWT and return `payload`;
   // pass optional supported algorithms as allow list ... note
   // that `jose` *always* prohibits the `none` algorithm
-  let verifyResult;
   try {
     // `jwtVerify` checks claims: `typ`, `iss`, `aud`, `exp`, `nbf`
     const {payload, protectedHeader} = await jwtVerify(jwt, jwks, {
@@ -89,7 +317,7 @@ export async function checkAccessToken({
       issuer,
       typ
     });
-    verifyResult = {payload, protectedHeader};
+    return {payload, protectedHeader};
   } catch(e) {
     const details = {
       httpStatusCode: 403,
@@ -105,6 +333,4 @@ export async function checkAccessToken({
       details
     });
   }
-
-  return verifyResult;
 }
@@ -0,0 +1,84 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {isWithinPrefix, tryCanonicalizeTarget} from './helpers.js';
+
+// custom `matches` predicates by authorization details `type`
+let AUTHORIZATION_DETAILS_TYPES = new Map();
+
+/**
+ * Registers a custom predicate for an authorization details `type` (RFC
+ * 9396). When an access token's `authorization_details` are checked, each
+ * detail of the given `type` must also satisfy this predicate (in addition to
+ * the common `actions`, `locations`, and `datatypes` checks) to match, e.g.,
+ * to check a type-specific `instructedAmount` against the request.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.type - The authorization details `type`.
+ * @param {Function} options.matches - A function that is called with
+ *   `{detail, expected, req}` and returns a boolean (or a promise that
+ *   resolves to a boolean) indicating whether `detail` matches the `expected`
+ *   authorization detail for the request.
+ */
+export function registerAuthorizationDetailsType({type, matches} = {}) {
+  if(!(type && typeof type === 'string')) {
+    throw new TypeError('"type" must be a string.');
+  }
+  if(typeof matches !== 'function') {
+    throw new TypeError('"matches" must be a function.');
+  }
+  AUTHORIZATION_DETAILS_TYPES.set(type, matches);
+}
+
+// exposed for testing purposes only
+export function _resetAuthorizationDetailsTypes() {
+  AUTHORIZATION_DETAILS_TYPES = new Map();
+}
+
+// returns the first detail in `authorizationDetails` that matches `expected`
+export async function _findMatchingAuthorizationDetail({
+  authorizationDetails, expected, req
+}) {
+  // locations are compared canonically, as with scope targets
+  const locations = (expected.locations ?? []).map(
+    target => tryCanonicalizeTarget({target}));
+  if(locations.includes(undefined)) {
+    return;
+  }
+  expected = {...expected, locations};
+  for(const detail of authorizationDetails) {
+    if(await _matches({detail, expected, req})) {
+      return detail;
+    }
+  }
+}
+
+async function _matches({detail, expected, req}) {
+  if(!(detail && typeof detail === 'object' && detail.type === expected.type)) {
+    return false;
+  }
+  if(!(_includesAll({values: detail.actions, required: expected.actions}) &&
+    _includesAll({values: detail.datatypes, required: expected.datatypes}))) {
+    return false;
+  }
+  // a detail without `locations` applies to the access token's audience
+  if(detail.locations !== undefined && !expected.locations.every(
+    target => _isWithinLocations({locations: detail.locations, target}))) {
+    return false;
+  }
+  const matches = AUTHORIZATION_DETAILS_TYPES.get(expected.type);
+  return matches ? await matches({detail, expected, req}) === true : true;
+}
+
+function _includesAll({values, required = []}) {
+  return required.every(value => Array.isArray(values) &&
+    values.includes(value));
+}
+
+function _isWithinLocations({locations, target}) {
+  return Array.isArray(locations) && locations.some(location => {
+    const prefix = typeof location === 'string' ?
+      tryCanonicalizeTarget({target: location}) : undefined;
+    return prefix !== undefined && isWithinPrefix({prefix, value: target});
+  });
+}
@@ -1,26 +1,45 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
 
 const {util: {BedrockError}} = bedrock;
 
 const AUTHORIZATION_BASIC_REGEX = /^Basic (.+)$/i;
+const BASE64_REGEX =
+  /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+const CLIENT_AUTHENTICATION_METHODS = new Set([
+  'client_secret_basic', 'client_secret_post'
+]);
 
 /**
  * Parses "Basic Authorization" credentials from the given HTTP request. This
  * is useful in conjunction with OAuth2 "client_credentials" grant types.
  *
+ * In `strict` mode, the credentials must be valid base64 that decodes to
+ * UTF-8 (the only `charset` defined by RFC 7617), the user ID and password
+ * must not include control characters, and the user ID must not include a
+ * colon (even if form encoded). OAuth2 clients encode their client ID and
+ * secret using the `application/x-www-form-urlencoded` algorithm before
+ * base64 encoding them (RFC 6749 section 2.3.1); set `formDecode` to `true`
+ * to decode them.
+ *
  * See: https://datatracker.ietf.org/doc/html/rfc7617#section-2 .
  *
  * @param {object} options - The options to use.
  * @param {object} options.req - The HTTP request interface, providing a
  *   `get()` function to access the `authorization` header.
+ * @param {boolean} [options.strict=false] - Set to `true` to strictly
+ *   validate the credentials as described above.
+ * @param {boolean} [options.formDecode=false] - Set to `true` to
+ *   `application/x-www-form-urlencoded` decode the user ID and password.
  *
  * @returns {Promise<object>} An object with a `credentials` object that
  *   includes `userId` and `password`.
  */
-export function getBasicAuthorizationCredentials({req} = {}) {
+export function getBasicAuthorizationCredentials({
+  req, strict = false, formDecode = false
+} = {}) {
   // get basic authorization credentials
   const credentials = req.get('authorization')
     ?.match(AUTHORIZATION_BASIC_REGEX)?.[1];
@@ -37,9 +56,19 @@ export function getBasicAuthorizationCredentials({req} = {}) {
 
   try {
     // parse credentials
-    const parsed = Buffer.from(credentials, 'base64').toString();
-    const [userId, ...rest] = parsed.split(':');
-    const password = rest.join(':');
+    const parsed = strict ?
+      _decodeStrict({credentials}) :
+      Buffer.from(credentials, 'base64').toString();
+    const [encodedUserId, ...rest] = parsed.split(':');
+    let userId = encodedUserId;
+    let password = rest.join(':');
+    if(formDecode) {
+      userId = _formDecode(userId);
+      password = _formDecode(password);
+    }
+    if(strict) {
+      _checkStrict({userId, password});
+    }
     return {credentials: {userId, password}};
   } catch(cause) {
     throw new BedrockError(
@@ -53,3 +82,112 @@ export function getBasicAuthorizationCredentials({req} = {}) {
       });
   }
 }
+
+/**
+ * Gets OAuth2 client credentials from the given HTTP request using either
+ * the `client_secret_basic` method (a "Basic Authorization" header, parsed
+ * in `strict` mode with `formDecode`; see
+ * `getBasicAuthorizationCredentials()`) or the `client_secret_post` method
+ * (`client_id` and `client_secret` parameters in the parsed form body). A
+ * client must not use more than one method in the same request.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc6749#section-2.3.1 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.req - The HTTP request interface, providing a
+ *   `get()` function to access the `authorization` header and the parsed
+ *   form `body`.
+ * @param {Array<string>} [options.methods] - The allowed client
+ *   authentication methods; defaults to both `client_secret_basic` and
+ *   `client_secret_post`.
+ *
+ * @returns {object} An object with a `credentials` object that includes the
+ *   client ID as `userId` and the client secret as `password` (see
+ *   `verifyClientCredentials()`) and the client authentication `method`.
+ */
+export function getClientCredentials({
+  req, methods = [...CLIENT_AUTHENTICATION_METHODS]
+} = {}) {
+  if(!(Array.isArray(methods) && methods.length > 0 &&
+    methods.every(method => CLIENT_AUTHENTICATION_METHODS.has(method)))) {
+    throw new TypeError(
+      '"methods" must be a non-empty array with "client_secret_basic" ' +
+      'and/or "client_secret_post".');
+  }
+
+  const basic = methods.includes('client_secret_basic') &&
+    AUTHORIZATION_BASIC_REGEX.test(req.get('authorization') ?? '');
+  const {client_id: userId, client_secret: password} =
+    (methods.includes('client_secret_post') && req.body) || {};
+  const post = password !== undefined;
+  if(basic && post) {
+    throw _createDataError({
+      message: 'Only one client authentication method may be used.'
+    });
+  }
+
+  if(basic) {
+    const {credentials} = getBasicAuthorizationCredentials({
+      req, strict: true, formDecode: true
+    });
+    // any `client_id` in the body must identify the same client
+    if(userId !== undefined && userId !== credentials.userId) {
+      throw _createDataError({
+        message: 'Client ID does not match client credentials.'
+      });
+    }
+    return {credentials, method: 'client_secret_basic'};
+  }
+  if(post) {
+    if(!(typeof userId === 'string' && typeof password === 'string')) {
+      throw _createDataError({message: 'Invalid client credentials.'});
+    }
+    return {credentials: {userId, password}, method: 'client_secret_post'};
+  }
+  throw _createDataError({message: 'Missing client credentials.'});
+}
+
+function _checkStrict({userId, password}) {
+  if(userId.includes(':')) {
+    throw new Error('User ID must not include a colon.');
+  }
+  if(_hasControlCharacter(userId) || _hasControlCharacter(password)) {
+    throw new Error('Credentials must not include control characters.');
+  }
+}
+
+function _createDataError({message}) {
+  return new BedrockError(message, {
+    name: 'DataError',
+    details: {
+      httpStatusCode: 400,
+      public: true
+    }
+  });
+}
+
+function _decodeStrict({credentials}) {
+  if(!BASE64_REGEX.test(credentials)) {
+    throw new Error('Credentials must be base64-encoded.');
+  }
+  // throws on invalid UTF-8
+  return new TextDecoder('utf-8', {fatal: true}).decode(
+    Buffer.from(credentials, 'base64'));
+}
+
+// see: https://url.spec.whatwg.org/#urlencoded-parsing
+function _formDecode(value) {
+  // throws on invalid percent-encoding
+  return decodeURIComponent(value.replace(/\+/g, ' '));
+}
+
+// C0 control characters and DEL; see RFC 7617 section 2
+function _hasControlCharacter(value) {
+  for(let i = 0; i < value.length; ++i) {
+    const c = value.charCodeAt(i);
+    if(c < 0x20 || c === 0x7f) {
+      return true;
+    }
+  }
+  return false;
+}
@@ -0,0 +1,160 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+
+const {util: {BedrockError}} = bedrock;
+
+const ABSOLUTE_URL_REGEX = /^([A-Za-z][A-Za-z0-9+.-]*):\/\/([^/?#]*)(.*)$/;
+const SCHEME_REGEX = /^[A-Za-z][A-Za-z0-9+.-]*:/;
+const DEFAULT_PORTS = new Map([['http', '80'], ['https', '443']]);
+// a `%` that does not start a valid percent-encoding
+const INVALID_PERCENT_ENCODING_REGEX = /%(?![0-9A-Fa-f]{2})/;
+// encoded characters that make a path ambiguous when decoded by a server
+// (`/`, `\`, and NUL) and a raw `\` (a path delimiter to some servers)
+const AMBIGUOUS_PATH_REGEX = /%2F|%5C|%00|\\/i;
+const PERCENT_ENCODING_REGEX = /%[0-9A-Fa-f]{2}/g;
+const UNRESERVED_REGEX = /^[A-Za-z0-9\-._~]$/;
+
+/**
+ * Canonicalizes a target, i.e., an absolute URI or an absolute path (with
+ * any query), so that equivalent targets compare equal, using the RFC 3986
+ * syntax-based normalizations: the scheme and host are lowercased and any
+ * default port is removed; percent-encoded unreserved characters are
+ * decoded and other percent-encodings are uppercased; duplicate slashes are
+ * collapsed; and `.` and `..` path segments are removed.
+ *
+ * A target that cannot be canonicalized without ambiguity is rejected with
+ * a `DataError`: one with an invalid percent-encoding, an encoded `/`, `\`,
+ * or NUL (or a raw `\`) in its path, or a `..` segment that would go above
+ * the root path.
+ *
+ * A request target should be canonicalized with `strictPath` set, as the
+ * server that handles the request may resolve its path differently, e.g., by
+ * not removing dot segments or by treating `;` as a delimiter.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc3986#section-6.2.2 .
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.target - The target to canonicalize.
+ * @param {boolean} [options.strictPath=false] - Set to `true` to reject a
+ *   target with `.` or `..` (raw or percent-encoded) or empty path segments
+ *   instead of removing them.
+ *
+ * @returns {string} The canonical target.
+ */
+export function canonicalizeTarget({target, strictPath = false} = {}) {
+  if(typeof target !== 'string') {
+    throw new TypeError('"target" must be a string.');
+  }
+
+  let origin = '';
+  let rest = target;
+  const match = target.match(ABSOLUTE_URL_REGEX);
+  if(match) {
+    const [, scheme, authority] = match;
+    origin = _canonicalizeOrigin({scheme, authority});
+    rest = match[3];
+  } else if(SCHEME_REGEX.test(target)) {
+    // URIs without a hierarchical path (e.g., URNs) are only percent-encoding
+    // normalized
+    if(INVALID_PERCENT_ENCODING_REGEX.test(target)) {
+      _throwInvalidTarget({reason: 'it has an invalid percent-encoding'});
+    }
+    return _normalizePercentEncoding(target);
+  } else if(!target.startsWith('/')) {
+    _throwInvalidTarget({reason: 'it is not an absolute URI or path'});
+  }
+
+  // split off any fragment and query
+  const hashIndex = rest.indexOf('#');
+  const fragment = hashIndex === -1 ? '' : rest.slice(hashIndex);
+  rest = hashIndex === -1 ? rest : rest.slice(0, hashIndex);
+  const queryIndex = rest.indexOf('?');
+  const query = queryIndex === -1 ? '' : rest.slice(queryIndex);
+  let path = queryIndex === -1 ? rest : rest.slice(0, queryIndex);
+
+  if(INVALID_PERCENT_ENCODING_REGEX.test(rest)) {
+    _throwInvalidTarget({reason: 'it has an invalid percent-encoding'});
+  }
+  if(AMBIGUOUS_PATH_REGEX.test(path)) {
+    _throwInvalidTarget({reason: 'its path is ambiguous'});
+  }
+  if(path) {
+    path = _normalizePercentEncoding(path);
+    if(strictPath) {
+      _checkStrictPath({path});
+    } else {
+      path = _removeDotSegments({path: path.replace(/\/{2,}/g, '/')});
+    }
+  }
+  return `${origin}${path}${_normalizePercentEncoding(query)}${fragment}`;
+}
+
+function _canonicalizeOrigin({scheme, authority}) {
+  scheme = scheme.toLowerCase();
+  // only the host (not any user info) is case-insensitive
+  const atIndex = authority.lastIndexOf('@');
+  const userInfo = authority.slice(0, atIndex + 1);
+  let host = authority.slice(atIndex + 1).toLowerCase();
+  const port = host.match(/:(\d*)$/)?.[1];
+  if(port !== undefined &&
+    (port === '' || port === DEFAULT_PORTS.get(scheme))) {
+    host = host.slice(0, -(port.length + 1));
+  }
+  return `${scheme}://${userInfo}${host}`;
+}
+
+function _normalizePercentEncoding(value) {
+  return value.replace(PERCENT_ENCODING_REGEX, encoded => {
+    const decoded = String.fromCharCode(parseInt(encoded.slice(1), 16));
+    return UNRESERVED_REGEX.test(decoded) ? decoded : encoded.toUpperCase();
+  });
+}
+
+// `path` must already be percent-encoding normalized so that encoded dot
+// segments are found; a trailing slash (an empty last segment) is allowed
+function _checkStrictPath({path}) {
+  const segments = path.split('/').slice(1);
+  for(const [i, segment] of segments.entries()) {
+    if(segment === '.' || segment === '..' ||
+      (segment === '' && i < segments.length - 1)) {
+      _throwInvalidTarget({reason: 'its path has dot or empty segments'});
+    }
+  }
+}
+
+// see: https://datatracker.ietf.org/doc/html/rfc3986#section-5.2.4
+function _removeDotSegments({path}) {
+  const segments = path.split('/').slice(1);
+  const output = [];
+  for(const [i, segment] of segments.entries()) {
+    const isLast = i === segments.length - 1;
+    if(segment === '.' || segment === '..') {
+      if(segment === '..') {
+        if(output.length === 0) {
+          _throwInvalidTarget({reason: 'its path goes above the root path'});
+        }
+        output.pop();
+      }
+      // a trailing dot segment refers to a directory
+      if(isLast) {
+        output.push('');
+      }
+      continue;
+    }
+    output.push(segment);
+  }
+  return `/${output.join('/')}`;
+}
+
+function _throwInvalidTarget({reason}) {
+  throw new BedrockError(
+    `Target cannot be canonicalized because ${reason}.`, {
+      name: 'DataError',
+      details: {
+        httpStatusCode: 400,
+        public: true
+      }
+    });
+}
@@ -0,0 +1,179 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {
+  _findProtectedResource, getProtectedResourceMetadataUrl
+} from './protectedResource.js';
+
+// claims that, when insufficient, mean the access token lacks privileges
+const INSUFFICIENT_SCOPE_CLAIMS = new Set(['scope', 'authorization_details']);
+
+// characters not allowed in RFC 6750 challenge attribute values
+const UNSAFE_CHALLENGE_CHARS_REGEX = /[^\x20\x21\x23-\x5B\x5D-\x7E]/g;
+
+/**
+ * Maps an error thrown when checking an access token (e.g., by
+ * `checkAccessToken()` or `checkTargetScopedAccessToken()`) to an RFC 6750
+ * "Bearer" challenge:
+ *
+ * - A request without an access token (error code
+ *   `ERR_ACCESS_TOKEN_MISSING`): HTTP 401 with no `error`.
+ * - A malformed request (error code `ERR_INVALID_REQUEST`): HTTP 400 with
+ *   `error="invalid_request"`.
+ * - An insufficient `scope` or `authorization_details` claim: HTTP 403 with
+ *   `error="insufficient_scope"` and, if known, the required `scope`.
+ * - Unmet step-up authentication requirements (error code
+ *   `ERR_INSUFFICIENT_USER_AUTHENTICATION`): HTTP 401 with
+ *   `error="insufficient_user_authentication"` and the required
+ *   `acr_values` and/or `max_age` (RFC 9470).
+ * - Any other failed access token check: HTTP 401 with
+ *   `error="invalid_token"`.
+ *
+ * Each challenge also includes the `resource_metadata` URL (RFC 9728) if
+ * given or if the request is for a resource in the `protectedResources`
+ * config, so that clients can discover which authorization servers and
+ * scopes to use.
+ *
+ * Errors that are not access token check failures (e.g., an unreachable
+ * issuer or a `TypeError`) are not mapped and `null` is returned.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc6750#section-3 .
+ *
+ * @param {object} options - The options to use.
+ * @param {Error} options.error - The error to map.
+ * @param {object} [options.req] - The HTTP request the access token was
+ *   checked for; used for the default `realm` and `resource_metadata`.
+ * @param {string} [options.realm] - The `realm` to include; defaults to the
+ *   `challenge.realm` config value or, if not set, the request's host.
+ * @param {string} [options.resourceMetadata] - The `resource_metadata` URL
+ *   to include; defaults to the metadata URL of the protected resource the
+ *   request is for, if any.
+ *
+ * @returns {object|null} An object with the `httpStatusCode` to respond
+ *   with, the challenge `params` (`realm`, `error`, `error_description`,
+ *   `scope`, `acr_values`, `max_age`, and `resource_metadata`, as
+ *   applicable), and the `WWW-Authenticate` `header` value; or `null` if the
+ *   error is not an access token check failure.
+ */
+export function getBearerChallenge({
+  error, req, realm, resourceMetadata
+} = {}) {
+  const {details} = error ?? {};
+  if(!(error?.name === 'NotAllowedError' && details?.code)) {
+    return null;
+  }
+
+  realm = realm ?? bedrock.config['oauth2-verifier'].challenge.realm ??
+    req?.get('host');
+  const params = {realm};
+  let httpStatusCode;
+  if(details.code === 'ERR_ACCESS_TOKEN_MISSING') {
+    // no error information is included when a token was not provided
+    httpStatusCode = 401;
+  } else if(details.code === 'ERR_INVALID_REQUEST') {
+    httpStatusCode = 400;
+    params.error = 'invalid_request';
+    params.error_description = details.reason;
+  } else if(details.code === 'ERR_INSUFFICIENT_USER_AUTHENTICATION') {
+    httpStatusCode = 401;
+    params.error = 'insufficient_user_authentication';
+    params.error_description = details.reason;
+    params.acr_values = details.acrValues;
+    params.max_age = details.maxAge;
+  } else if(INSUFFICIENT_SCOPE_CLAIMS.has(details.claim)) {
+    httpStatusCode = 403;
+    params.error = 'insufficient_scope';
+    params.error_description = details.reason;
+    params.scope = details.requiredScope;
+  } else {
+    httpStatusCode = 401;
+    params.error = 'invalid_token';
+    params.error_description = details.reason;
+  }
+  params.resource_metadata = resourceMetadata ??
+    _getResourceMetadataUrl({req});
+
+  const header = _formatChallenge({scheme: 'Bearer', params});
+  return {httpStatusCode, params, header};
+}
+
+/**
+ * Maps an error thrown when checking an access token to an RFC 6750 "Bearer"
+ * challenge and sets it as the `WWW-Authenticate` header of the response;
+ * see `getBearerChallenge()`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.res - The HTTP response.
+ * @param {Error} options.error - The error to map.
+ * @param {object} [options.req] - The HTTP request.
+ * @param {string} [options.realm] - The `realm` to include.
+ * @param {string} [options.resourceMetadata] - The `resource_metadata` URL
+ *   to include.
+ *
+ * @returns {object|null} The challenge as returned by
+ *   `getBearerChallenge()`; if `null`, no header was set.
+ */
+export function setBearerChallenge({
+  res, error, req, realm, resourceMetadata
+} = {}) {
+  const challenge = getBearerChallenge({error, req, realm, resourceMetadata});
+  if(challenge) {
+    res.setHeader('WWW-Authenticate', challenge.header);
+  }
+  return challenge;
+}
+
+/**
+ * Sets an RFC 7617 `WWW-Authenticate: Basic` challenge on the response if
+ * the given error is an RFC 6749 `invalid_client` error, e.g., as thrown by
+ * `verifyClientCredentials()`.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc6749#section-5.2 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.res - The HTTP response.
+ * @param {Error} options.error - The error.
+ * @param {object} [options.req] - The HTTP request.
+ * @param {string} [options.realm] - The `realm` to include; defaults to the
+ *   `challenge.realm` config value or, if not set, the request's host.
+ *
+ * @returns {object|null} An object with the `httpStatusCode` to respond
+ *   with, the challenge `params`, and the `WWW-Authenticate` `header` value;
+ *   or `null` if the error is not an `invalid_client` error.
+ */
+export function setBasicChallenge({res, error, req, realm} = {}) {
+  if(error?.details?.error !== 'invalid_client') {
+    return null;
+  }
+  realm = realm ?? bedrock.config['oauth2-verifier'].challenge.realm ??
+    req?.get('host');
+  const params = {realm, charset: 'UTF-8'};
+  const header = _formatChallenge({scheme: 'Basic', params});
+  res.setHeader('WWW-Authenticate', header);
+  return {httpStatusCode: 401, params, header};
+}
+
+function _formatChallenge({scheme, params}) {
+  return `${scheme} ` + Object.entries(params)
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => `${name}="${_toChallengeValue(value)}"`)
+    .join(', ');
+}
+
+function _getResourceMetadataUrl({req}) {
+  if(!req) {
+    return;
+  }
+  const resource = _findProtectedResource({
+    url: `https://${req.get('host')}${req.originalUrl}`
+  });
+  return resource && getProtectedResourceMetadataUrl({resource});
+}
+
+// quotes cannot be escaped in challenge values; replace them and drop any
+// other characters that are not allowed
+function _toChallengeValue(value) {
+  return String(value).replace(/"/g, '\'')
+    .replace(UNSAFE_CHALLENGE_CHARS_REGEX, '');
+}
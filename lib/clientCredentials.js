@@ -0,0 +1,410 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {
+  pbkdf2 as _pbkdf2, scrypt as _scrypt, randomBytes, timingSafeEqual
+} from 'node:crypto';
+import {
+  createLocalJWKSet, decodeJwt, decodeProtectedHeader, jwtVerify
+} from 'jose';
+import {createReplayCache} from './helpers.js';
+import {getRemoteJwks} from './discovery.js';
+import {promisify} from 'node:util';
+
+const {util: {BedrockError}} = bedrock;
+
+const pbkdf2 = promisify(_pbkdf2);
+const scrypt = promisify(_scrypt);
+
+const CLIENT_ASSERTION_TYPE =
+  'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const HASH_LENGTH = 32;
+const SALT_LENGTH = 16;
+
+// default parameters for new secret hashes
+const SCRYPT_PARAMS = {ln: 14, r: 8, p: 1};
+const PBKDF2_ITERATIONS = 600000;
+
+// used to spend the same time verifying credentials for unknown clients; any
+// well-formed hash will do as its secret is never used
+const DUMMY_SECRET_HASH = _formatSecretHash({
+  algorithm: 'scrypt', params: SCRYPT_PARAMS,
+  salt: randomBytes(SALT_LENGTH), hash: randomBytes(HASH_LENGTH)
+});
+
+let CLIENT_ASSERTION_REPLAY_CACHE;
+let CLIENT_REGISTRY;
+
+bedrock.events.on('bedrock.init', async () => {
+  _createClientAssertionReplayCache();
+  _createClientRegistry();
+});
+
+/**
+ * Verifies client credentials (e.g., as parsed from a "Basic Authorization"
+ * header or form body by `getClientCredentials()`) against the client
+ * registry. The client secret is compared against each of the client's
+ * salted secret hashes (to support secret rotation) in constant time.
+ *
+ * On failure, a `NotAllowedError` is thrown with an HTTP 401 status and the
+ * RFC 6749 `invalid_client` error in its details; see `setBasicChallenge()`
+ * for sending the related `WWW-Authenticate: Basic` challenge.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc6749#section-5.2 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.credentials - The client credentials with the
+ *   client ID as `userId` and the client secret as `password`.
+ * @param {object} [options.registry] - The client registry to use instead of
+ *   the default one; see `setClientRegistry()`.
+ *
+ * @returns {Promise<object>} An object with the registered `client` meta
+ *   data (without its secret hashes), including its `clientId`.
+ */
+export async function verifyClientCredentials({
+  credentials, registry = CLIENT_REGISTRY
+} = {}) {
+  const {userId: clientId, password: clientSecret} = credentials ?? {};
+  if(!(typeof clientId === 'string' && typeof clientSecret === 'string')) {
+    throw new TypeError(
+      '"credentials" must include "userId" and "password" strings.');
+  }
+
+  const registered = clientId ? await registry.getClient({clientId}) : null;
+  const secretHashes = registered?.secretHashes ?? [];
+  let verified = false;
+  if(secretHashes.length === 0) {
+    // do not reveal whether the client exists
+    await _verifySecret({secret: clientSecret, secretHash: DUMMY_SECRET_HASH});
+  }
+  for(const secretHash of secretHashes) {
+    if(await _verifySecret({secret: clientSecret, secretHash})) {
+      verified = true;
+    }
+  }
+  if(!verified) {
+    throw _createInvalidClientError();
+  }
+
+  return {client: _toClientMetaData({clientId, registered})};
+}
+
+/**
+ * Verifies a client assertion (RFC 7523) sent in the (parsed) form body of
+ * the given HTTP request with the `client_assertion_type`
+ * `urn:ietf:params:oauth:client-assertion-type:jwt-bearer`, i.e., the
+ * `private_key_jwt` or `client_secret_jwt` client authentication methods.
+ *
+ * The assertion is verified using the keys registered for the client in the
+ * client registry: its `jwks` or `jwksUri` (fetched using the same limits
+ * and cache options as issuer configs) for `private_key_jwt` or its
+ * `clientSecret` for `client_secret_jwt`. The `iss` and `sub` claims must
+ * both be the client ID (as must any `client_id` in the body), `aud` must
+ * include the given `audience`, `exp` must not have passed, `iat` must be
+ * within the configured `clientAssertion.maxAssertionAge`, and its `jti`
+ * must not have been seen before. Seen `jti` values are kept until their
+ * assertions could no longer be accepted; if too many are kept, the
+ * assertion is rejected with a `QuotaExceededError` (HTTP 503) instead of
+ * forgetting any of them.
+ *
+ * On failure, a `NotAllowedError` is thrown with an HTTP 401 status and the
+ * RFC 6749 `invalid_client` error in its details, like
+ * `verifyClientCredentials()`.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc7523#section-3 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.req - The HTTP request, with the parsed form
+ *   parameters in `body`.
+ * @param {string} options.audience - The expected (and allowed) `aud` claim,
+ *   e.g., the URL of the endpoint the client is authenticating to.
+ * @param {object} [options.registry] - The client registry to use instead of
+ *   the default one; see `setClientRegistry()`.
+ * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
+ *   in seconds (when verifying time-based claims).
+ *
+ * @returns {Promise<object>} An object with `credentials` that include the
+ *   client ID as `userId` (like `getBasicAuthorizationCredentials()`), the
+ *   registered `client` meta data (as returned by
+ *   `verifyClientCredentials()`), the authentication `method`, and the
+ *   assertion's `payload`.
+ */
+export async function verifyClientAssertion({
+  req, audience, registry = CLIENT_REGISTRY, maxClockSkew = 300
+} = {}) {
+  if(!(audience && typeof audience === 'string')) {
+    throw new TypeError('"audience" must be a string.');
+  }
+  const {
+    client_assertion_type: assertionType,
+    client_assertion: assertion,
+    client_id: requestedClientId
+  } = req.body ?? {};
+  if(!(assertionType === CLIENT_ASSERTION_TYPE &&
+    assertion && typeof assertion === 'string')) {
+    throw new BedrockError(
+      'Missing or invalid "client_assertion" parameters.', {
+        name: 'DataError',
+        details: {
+          httpStatusCode: 400,
+          public: true
+        }
+      });
+  }
+
+  // the client is identified by the (not yet verified) `sub` claim; any
+  // `client_id` parameter must match it
+  let clientId;
+  let alg;
+  try {
+    ({sub: clientId} = decodeJwt(assertion));
+    ({alg} = decodeProtectedHeader(assertion));
+  } catch(e) {
+    throw _createInvalidClientError({reason: 'Client assertion is malformed.'});
+  }
+  if(!(clientId && typeof clientId === 'string') ||
+    (requestedClientId !== undefined && requestedClientId !== clientId)) {
+    throw _createInvalidClientError({
+      reason: 'Client assertion "sub" does not identify the client.'
+    });
+  }
+
+  // HMAC algorithms use the client secret, all others the client's keys
+  const registered = await registry.getClient({clientId});
+  const method = typeof alg === 'string' && alg.startsWith('HS') ?
+    'client_secret_jwt' : 'private_key_jwt';
+  const key = await _getClientAssertionKey({registered, method});
+  if(!key) {
+    throw _createInvalidClientError({
+      reason: 'Client assertion could not be verified.'
+    });
+  }
+
+  const {clientAssertion: {allowedAlgorithms, maxAssertionAge}} =
+    bedrock.config['oauth2-verifier'];
+  let payload;
+  try {
+    ({payload} = await jwtVerify(assertion, key, {
+      algorithms: allowedAlgorithms.filter(
+        a => a.startsWith('HS') === (method === 'client_secret_jwt')),
+      audience,
+      issuer: clientId,
+      subject: clientId,
+      clockTolerance: maxClockSkew,
+      maxTokenAge: maxAssertionAge,
+      requiredClaims: ['jti', 'exp', 'iat']
+    }));
+  } catch(e) {
+    throw _createInvalidClientError({reason: e.message});
+  }
+
+  // detect replay; a `jti` only needs to be remembered for as long as the
+  // assertion could otherwise be accepted
+  const expires = (Math.min(payload.exp, payload.iat + maxAssertionAge) +
+    maxClockSkew) * 1000;
+  if(!CLIENT_ASSERTION_REPLAY_CACHE.add({
+    key: `${clientId}:${payload.jti}`, expires
+  })) {
+    throw _createInvalidClientError({
+      reason: 'Client assertion has already been used.'
+    });
+  }
+
+  return {
+    credentials: {userId: clientId},
+    client: _toClientMetaData({clientId, registered}),
+    method,
+    payload
+  };
+}
+
+/**
+ * Hashes a client secret for storage in a client registry. The result is a
+ * PHC string format value with a random salt, e.g.,
+ * `$scrypt$ln=14,r=8,p=1$<salt>$<hash>`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.secret - The client secret.
+ * @param {string} [options.algorithm='scrypt'] - The algorithm to use, either
+ *   `scrypt` or `pbkdf2-sha256`.
+ * @param {number} [options.iterations=600000] - The number of `pbkdf2-sha256`
+ *   iterations.
+ *
+ * @returns {Promise<string>} The secret hash.
+ */
+export async function hashClientSecret({
+  secret, algorithm = 'scrypt', iterations = PBKDF2_ITERATIONS
+} = {}) {
+  if(!(secret && typeof secret === 'string')) {
+    throw new TypeError('"secret" must be a string.');
+  }
+  const salt = randomBytes(SALT_LENGTH);
+  let params;
+  if(algorithm === 'scrypt') {
+    params = SCRYPT_PARAMS;
+  } else if(algorithm === 'pbkdf2-sha256') {
+    params = {i: iterations};
+  } else {
+    throw new TypeError('"algorithm" must be "scrypt" or "pbkdf2-sha256".');
+  }
+  const hash = await _deriveKey({
+    secret, algorithm, params, salt, length: HASH_LENGTH
+  });
+  return _formatSecretHash({algorithm, params, salt, hash});
+}
+
+/**
+ * Sets the client registry to use instead of the default one, which uses
+ * the `clients` config. A client registry must implement
+ * `getClient({clientId})`, which returns (or resolves to) the registered
+ * client meta data or `null` if the client is not registered. The meta data
+ * must include `secretHashes`, an array of secret hashes as created by
+ * `hashClientSecret()`, and may include anything else, e.g., allowed
+ * `grantTypes` and `scope`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.registry - The client registry.
+ */
+export function setClientRegistry({registry} = {}) {
+  if(!(registry && typeof registry.getClient === 'function')) {
+    throw new TypeError('"registry" must implement "getClient".');
+  }
+  CLIENT_REGISTRY = registry;
+}
+
+// exposed for testing purposes only
+export function _resetClientRegistry() {
+  _createClientAssertionReplayCache();
+  _createClientRegistry();
+}
+
+function _createClientAssertionReplayCache() {
+  const {clientAssertion: {replayCache}} = bedrock.config['oauth2-verifier'];
+  CLIENT_ASSERTION_REPLAY_CACHE = createReplayCache({
+    ...replayCache,
+    message: 'Client assertion could not be recorded; too many unexpired ' +
+      'client assertions have been used.'
+  });
+}
+
+function _createClientRegistry() {
+  CLIENT_REGISTRY = {
+    async getClient({clientId}) {
+      const {clients} = bedrock.config['oauth2-verifier'];
+      return Object.hasOwn(clients, clientId) ? clients[clientId] : null;
+    }
+  };
+}
+
+async function _deriveKey({secret, algorithm, params, salt, length}) {
+  if(algorithm === 'scrypt') {
+    const N = 2 ** params.ln;
+    return scrypt(secret, salt, length, {
+      N, r: params.r, p: params.p, maxmem: 256 * N * params.r
+    });
+  }
+  return pbkdf2(secret, salt, params.i, length, 'sha256');
+}
+
+function _createInvalidClientError({reason} = {}) {
+  return new BedrockError('Client authentication failed.', {
+    name: 'NotAllowedError',
+    details: {
+      httpStatusCode: 401,
+      public: true,
+      error: 'invalid_client',
+      reason
+    }
+  });
+}
+
+function _encode(bytes) {
+  return bytes.toString('base64').replace(/=+$/, '');
+}
+
+// formats a PHC string format value: `$<id>$<params>$<salt>$<hash>`
+function _formatSecretHash({algorithm, params, salt, hash}) {
+  const paramsString = Object.entries(params)
+    .map(([name, value]) => `${name}=${value}`).join(',');
+  return `$${algorithm}$${paramsString}$${_encode(salt)}$${_encode(hash)}`;
+}
+
+// gets the key(s) registered for a client for the given authentication
+// method or `undefined` if there are none
+async function _getClientAssertionKey({registered, method}) {
+  if(method === 'client_secret_jwt') {
+    const {clientSecret} = registered ?? {};
+    return typeof clientSecret === 'string' ?
+      new TextEncoder().encode(clientSecret) : undefined;
+  }
+  const {jwks, jwksUri} = registered ?? {};
+  if(jwksUri !== undefined) {
+    return getRemoteJwks({jwksUri});
+  }
+  if(jwks !== undefined) {
+    try {
+      return createLocalJWKSet(jwks);
+    } catch(cause) {
+      throw new BedrockError(
+        'Invalid client registration; JSON Web Key Set is malformed.', {
+          name: 'OperationError',
+          cause,
+          details: {
+            httpStatusCode: 500,
+            public: true
+          }
+        });
+    }
+  }
+}
+
+// parses a PHC string format value: `$<id>$<params>$<salt>$<hash>`
+function _parseSecretHash(secretHash) {
+  const parts = typeof secretHash === 'string' ? secretHash.split('$') : [];
+  const [empty, algorithm, paramsString, salt, hash] = parts;
+  if(!(parts.length === 5 && empty === '' && salt && hash)) {
+    return null;
+  }
+  const params = {};
+  for(const param of paramsString.split(',')) {
+    const [name, value] = param.split('=');
+    params[name] = parseInt(value, 10);
+  }
+  const valid = algorithm === 'scrypt' ?
+    [params.ln, params.r, params.p].every(Number.isInteger) :
+    algorithm === 'pbkdf2-sha256' && Number.isInteger(params.i);
+  if(!valid) {
+    return null;
+  }
+  return {
+    algorithm, params,
+    salt: Buffer.from(salt, 'base64'), hash: Buffer.from(hash, 'base64')
+  };
+}
+
+async function _verifySecret({secret, secretHash}) {
+  const parsed = _parseSecretHash(secretHash);
+  if(!parsed) {
+    throw new BedrockError('Invalid client secret hash.', {
+      name: 'OperationError',
+      details: {
+        httpStatusCode: 500,
+        public: true
+      }
+    });
+  }
+  const {algorithm, params, salt, hash} = parsed;
+  const derived = await _deriveKey({
+    secret, algorithm, params, salt, length: hash.length
+  });
+  return timingSafeEqual(derived, hash);
+}
+
+// secrets are never returned with client meta data
+function _toClientMetaData({clientId, registered}) {
+  const client = {...registered, clientId};
+  delete client.secretHashes;
+  delete client.clientSecret;
+  return client;
+}
@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {config} from '@bedrock/core';
 
@@ -18,7 +18,236 @@ cfg.issuerConfig = {
   cache: {
     // ~800 KiB cache ~= 1 MiB max size
     max: 100,
-    // 10 minute TTL
+    // 10 minute TTL; used when issuer config and JWKs responses do not set
+    // an HTTP cache lifetime; a fetched issuer config is kept cached until
+    // it expires and can no longer be served stale (see `staleIfError`)
     ttl: 10 * 60 * 1000
+  },
+  // minimum time in ms between forced refreshes of an issuer's config and
+  // JWKs, as triggered by a JWT with an unknown `kid`; this prevents JWTs
+  // with forged `kid` values from being used to flood an issuer with requests
+  refreshCooldown: 60 * 1000,
+  // time in ms after an issuer config expires (at twice the cache TTL) that
+  // it may continue to be used (as `stale`) when it cannot be refetched,
+  // e.g., because the issuer is unreachable; set to `0` to disable
+  staleIfError: 60 * 60 * 1000,
+  // exponential backoff in ms for refetching an expired issuer config after
+  // a failure whilst its stale version is being used
+  retryBackoff: {
+    initial: 1000,
+    max: 5 * 60 * 1000
+  },
+  // bounds in ms for the cache lifetime of an issuer config as set by the
+  // `Cache-Control` (`max-age`, `no-store`, `no-cache`) or `Expires` headers
+  // of the issuer config and JWKs responses (the shorter lifetime is used);
+  // the cache TTL is used when neither response sets a lifetime; `maxTtl`
+  // must not exceed ~24 days (the max timer delay)
+  httpCache: {
+    minTtl: 60 * 1000,
+    maxTtl: 24 * 60 * 60 * 1000
+  }
+};
+
+// options for DPoP proofs (RFC 9449)
+cfg.dpop = {
+  // allow list of JOSE algorithms for DPoP proofs; symmetric algorithms are
+  // never allowed
+  allowedAlgorithms: ['EdDSA', 'ES256', 'ES256K', 'ES384', 'ES512', 'PS256'],
+  // max age of a DPoP proof (based on its `iat` claim) in seconds
+  maxProofAge: 60,
+  // seen DPoP proof `jti` values are kept until the proofs could no longer
+  // be accepted (based on `iat`, `maxProofAge`, and the max clock skew);
+  // they are never evicted early: once `max` unexpired values are kept, DPoP
+  // proofs are rejected (HTTP 503) until some expire
+  replayCache: {
+    max: 10000
+  }
+};
+
+// options for mTLS certificate-bound access tokens (RFC 8705)
+cfg.mtls = {
+  // name of a header set by a trusted TLS-terminating proxy that carries the
+  // client certificate as either an RFC 9440 `Client-Cert` byte sequence
+  // (`:<base64 DER>:`) or a (URL-encoded) PEM; only set this if the proxy
+  // always overwrites the header; when `null`, the client certificate is
+  // read from the request's TLS socket
+  clientCertificateHeader: null
+};
+
+// options for encrypted (nested JWT) access tokens (RFC 7516)
+cfg.encryptedAccessTokens = {
+  // default allow lists of JWE key management (`alg`) and content encryption
+  // (`enc`) algorithms; the `dir` algorithm is never allowed
+  keyManagementAlgorithms: [
+    'ECDH-ES', 'ECDH-ES+A128KW', 'ECDH-ES+A256KW', 'RSA-OAEP-256'
+  ],
+  contentEncryptionAlgorithms: ['A128GCM', 'A256GCM'],
+  // private JWKs for decrypting access tokens, keyed by audience; each
+  // entry may override the default allow lists, e.g.:
+  // {'https://resource.example': {
+  //   keys: [{kid: 'enc-1', kty: 'OKP', crv: 'X25519', x: '...', d: '...'}],
+  //   keyManagementAlgorithms: ['ECDH-ES+A256KW'],
+  //   contentEncryptionAlgorithms: ['A256GCM']
+  // }}
+  decryptionKeys: {}
+};
+
+// options for OAuth2 token introspection (RFC 7662)
+cfg.introspection = {
+  // client credentials used to authenticate to an issuer's introspection
+  // endpoint, keyed by issuer config URL, e.g.:
+  // {'https://issuer.example/.well-known/oauth-authorization-server': {
+  //   clientId: 'resource-server', clientSecret: '...'}}
+  clientCredentials: {},
+  // params for introspection requests
+  fetchOptions: {
+    // max size for introspection responses (in bytes, ~8 KiB)
+    size: 8192,
+    // timeout in ms for an introspection request
+    timeout: 5000
+  },
+  // introspection results are cached until the earlier of their `exp` and
+  // this cache's TTL
+  cache: {
+    max: 1000,
+    // 1 minute TTL
+    ttl: 60 * 1000
   }
 };
+
+// options for access token revocation
+cfg.revocation = {
+  // set to `true` to make all access tokens single use by default; each
+  // token's `jti` is then recorded until the token expires and any reuse is
+  // rejected; see `checkAccessToken()`
+  singleUse: false,
+  // used token IDs (`jti` values) kept by the default in-memory revocation
+  // store until their tokens expire; neither these nor denylisted (revoked)
+  // claim values are ever evicted early: once `max` unexpired token IDs are
+  // kept, single use tokens are rejected (HTTP 503) until some expire
+  usedTokens: {
+    max: 10000
+  }
+};
+
+// OAuth 2.0 Protected Resource Metadata (RFC 9728) served by the routes
+// added via `addProtectedResourceMetadataRoutes()`, keyed by resource
+// identifier (an HTTPS URL); `authorizationServers` defaults to the issuers
+// in `trustedIssuers`; `bearerMethods` defaults to the (non-cookie)
+// `tokenSources`; `dpop` and `mtls` are the modes passed to
+// `checkAccessToken()` for the resource; `metadata` may include any other
+// RFC 9728 values, e.g.:
+// {'https://resource.example/api': {
+//   authorizationServers: ['https://issuer.example'],
+//   scopes: ['read:/api', 'write:/api'],
+//   bearerMethods: ['header'],
+//   dpop: 'optional',
+//   mtls: 'required',
+//   metadata: {resource_name: 'Example API'}
+// }}
+cfg.protectedResources = {};
+
+// the ordered list of allowed sources for access tokens sent with requests
+// (RFC 6750): `header` (the `Authorization` header), `body` (an
+// `application/x-www-form-urlencoded` body's `access_token` parameter),
+// `query` (the `access_token` query parameter), or `{cookie: '<name>'}` (a
+// named cookie); requests that send more than one access token are rejected
+cfg.tokenSources = ['header'];
+
+// the default declarative route-to-scope policy (an object with `rules`)
+// used by `checkTargetScopedAccessToken()`; see `compilePolicy()`, e.g.:
+// {rules: [
+//   {path: '/health', methods: ['GET'], public: true},
+//   {path: '/admin/**', methods: ['POST'], scopes: ['admin:/']},
+//   {path: '/reports', methods: ['GET'],
+//     scopes: ['read:/reports', 'audit:/']},
+//   {path: '/dav/**', actions: {PROPFIND: 'read', MKCOL: 'write'},
+//     audience: 'https://dav.example'},
+//   {path: '/**'}
+// ]}
+cfg.policy = null;
+
+// options for matching access token scopes against request targets; targets
+// are always canonicalized first (see `canonicalizeTarget()`); set
+// `unorderedQuery` to `true` to match a scope target with a query if its
+// query parameters are in the request target's query in any order
+cfg.scopeMatching = {
+  unorderedQuery: false
+};
+
+// options for RFC 6750 `WWW-Authenticate` challenges
+cfg.challenge = {
+  // the `realm` to include in challenges; when `null`, the request's host is
+  // used
+  realm: null
+};
+
+// client registry used by `verifyClientCredentials()` and
+// `verifyClientAssertion()`, keyed by client ID; client secrets are only
+// stored as salted hashes as created by `hashClientSecret()`; multiple secret
+// hashes may be given to support secret rotation; clients that authenticate
+// with JWT assertions (RFC 7523) instead register public keys via `jwks` or
+// `jwksUri` (`private_key_jwt`) or a plaintext `clientSecret`
+// (`client_secret_jwt`, as HMACs require the shared secret); any other meta
+// data is returned on verification, e.g.:
+// {'client-1': {
+//   secretHashes: ['$scrypt$ln=14,r=8,p=1$<salt>$<hash>'],
+//   grantTypes: ['client_credentials'],
+//   scope: 'read:/foo'
+// }, 'client-2': {
+//   jwksUri: 'https://client.example/jwks.json'
+// }}
+cfg.clients = {};
+
+// options for client authentication with JWT assertions (RFC 7523)
+cfg.clientAssertion = {
+  // allow list of JOSE algorithms for client assertions; HMAC algorithms are
+  // only accepted from clients with a registered `clientSecret`
+  allowedAlgorithms: [
+    'EdDSA', 'ES256', 'ES256K', 'ES384', 'ES512', 'PS256',
+    'HS256', 'HS384', 'HS512'
+  ],
+  // max age of a client assertion (based on its required `iat` claim) in
+  // seconds
+  maxAssertionAge: 5 * 60,
+  // seen client assertion `jti` values are kept until the assertions could
+  // no longer be accepted (based on `exp`, `iat`, `maxAssertionAge`, and the
+  // max clock skew); they are never evicted early: once `max` unexpired
+  // values are kept, client assertions are rejected (HTTP 503) until some
+  // expire
+  replayCache: {
+    max: 10000
+  }
+};
+
+// trusted issuer registry used when no specific `issuerConfigUrl` is given;
+// the issuer is selected using a token's (unverified) `iss` claim, e.g.:
+// {'https://issuer.example': {
+//   issuerConfigUrl:
+//     'https://issuer.example/.well-known/oauth-authorization-server',
+//   // optional per-issuer verification options
+//   allowedAlgorithms: ['EdDSA', 'ES256'],
+//   audience: 'https://resource.example',
+//   typ: 'at+jwt'
+// }}
+cfg.trustedIssuers = {};
+
+// statically declared issuers, keyed by issuer config URL, whose issuer
+// configs and JWKs are used without making any network requests, e.g., for
+// deployments without egress; the `issuer` in each `config` is validated
+// against its issuer config URL just as with discovery; entries are
+// validated (and any JWKs files loaded) at `bedrock.init`, e.g.:
+// {'https://issuer.example/.well-known/oauth-authorization-server': {
+//   config: {issuer: 'https://issuer.example'},
+//   // either an inline JSON Web Key Set...
+//   jwks: {keys: [...]},
+//   // ...or the path to a local JSON Web Key Set file that is reloaded
+//   // when it changes
+//   jwksFile: '/etc/bedrock/issuer-jwks.json'
+// }}
+cfg.staticIssuers = {};
+
+// minimum time in ms between checks for changes to static issuer JWKs files
+// (`jwksFile`); if a changed file cannot be loaded, the previously loaded
+// JWKs continue to be used
+cfg.staticIssuerFileCheckInterval = 5 * 1000;
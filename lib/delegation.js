@@ -0,0 +1,127 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createNotAllowedError} from './helpers.js';
+
+/**
+ * Parses the delegation chain from the `act` (actor) claim of an access
+ * token obtained via token exchange (RFC 8693) and checks it against the
+ * given requirements. The actor chain lists the current actor first,
+ * followed by each prior actor; the token's `sub` is the party on whose
+ * behalf they all act. If the token also has a `may_act` claim, the current
+ * actor must have every claim value given in it, i.e., it must be the party
+ * that the subject authorized to act for it.
+ *
+ * A failed check throws a `NotAllowedError` with the error code
+ * `ERR_JWT_CLAIM_VALIDATION_FAILED` and the claim `act` (or `may_act`).
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc8693#section-4.1 and
+ * https://datatracker.ietf.org/doc/html/rfc8693#section-4.4 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.payload - The verified access token payload.
+ * @param {boolean} [options.allowed=true] - Set to `false` to reject any
+ *   delegated access token (one with an `act` claim).
+ * @param {number} [options.maxDepth] - The maximum number of actors in the
+ *   chain.
+ * @param {Array<object>} [options.actors] - The allowed actors at each
+ *   level of the chain, current actor first; each entry may include `sub`
+ *   and/or `clientId` arrays of allowed `sub` and `client_id` values; levels
+ *   without an entry are not restricted.
+ *
+ * @returns {object} An object with the `actorChain`, an array with the
+ *   claims of each actor (without its nested `act`), current actor first;
+ *   the array is empty if the access token is not delegated.
+ */
+export function checkDelegation({
+  payload, allowed = true, maxDepth, actors = []
+} = {}) {
+  if(typeof allowed !== 'boolean') {
+    throw new TypeError('"allowed" must be a boolean.');
+  }
+  if(!(maxDepth === undefined || (Number.isInteger(maxDepth) &&
+    maxDepth >= 0))) {
+    throw new TypeError('"maxDepth" must be a non-negative integer.');
+  }
+  if(!(Array.isArray(actors) &&
+    actors.every(actor => actor && typeof actor === 'object'))) {
+    throw new TypeError('"actors" must be an array of objects.');
+  }
+  for(const {sub, clientId} of actors) {
+    if(!(sub === undefined || _isStringArray(sub))) {
+      throw new TypeError('"actors" "sub" must be an array of strings.');
+    }
+    if(!(clientId === undefined || _isStringArray(clientId))) {
+      throw new TypeError('"actors" "clientId" must be an array of strings.');
+    }
+  }
+
+  const actorChain = _parseActorChain({act: payload.act});
+  if(actorChain.length === 0) {
+    return {actorChain};
+  }
+  if(!allowed) {
+    _throwDelegationError({
+      reason: 'Delegated access tokens are not allowed.'
+    });
+  }
+  if(payload.may_act !== undefined) {
+    _checkMayAct({mayAct: payload.may_act, actor: actorChain[0]});
+  }
+  if(maxDepth !== undefined && actorChain.length > maxDepth) {
+    _throwDelegationError({
+      reason: 'Access token delegation chain is too long.'
+    });
+  }
+  for(const [level, actor] of actorChain.entries()) {
+    const {sub, clientId} = actors[level] ?? {};
+    if((sub !== undefined && !sub.includes(actor.sub)) ||
+      (clientId !== undefined && !clientId.includes(actor.client_id))) {
+      _throwDelegationError({
+        reason: `Access token actor at delegation level ${level} is not ` +
+          'allowed.'
+      });
+    }
+  }
+  return {actorChain};
+}
+
+function _checkMayAct({mayAct, actor}) {
+  if(!(mayAct && typeof mayAct === 'object' && !Array.isArray(mayAct))) {
+    _throwDelegationError({
+      reason: 'Access token "may_act" claim is invalid.', claim: 'may_act'
+    });
+  }
+  for(const [name, value] of Object.entries(mayAct)) {
+    if(actor[name] !== value) {
+      _throwDelegationError({
+        reason: 'Access token actor is not authorized by the "may_act" claim.',
+        claim: 'may_act'
+      });
+    }
+  }
+}
+
+function _isStringArray(value) {
+  return Array.isArray(value) &&
+    value.every(element => typeof element === 'string');
+}
+
+function _parseActorChain({act}) {
+  const actorChain = [];
+  while(act !== undefined) {
+    if(!(act && typeof act === 'object' && !Array.isArray(act))) {
+      _throwDelegationError({reason: 'Access token "act" claim is invalid.'});
+    }
+    const {act: next, ...actor} = act;
+    actorChain.push(actor);
+    act = next;
+  }
+  return actorChain;
+}
+
+function _throwDelegationError({reason, claim = 'act'}) {
+  throw createNotAllowedError({
+    code: 'ERR_JWT_CLAIM_VALIDATION_FAILED', reason, claim
+  });
+}
@@ -1,64 +1,221 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import {
+  _recordIssuerConfigCacheHit, _recordIssuerConfigCacheMiss,
+  _recordIssuerConfigFetch
+} from './observability.js';
+import {readFile, stat} from 'node:fs/promises';
 import {httpsAgent as agent} from '@bedrock/https-agent';
 import {createLocalJWKSet} from 'jose';
 import {httpClient} from '@digitalbazaar/http-client';
+import {logger} from './logger.js';
 import {LruCache} from '@digitalbazaar/lru-memoize';
 
 const {util: {BedrockError}} = bedrock;
 
+const MAX_AGE_REGEX = /^max-age="?(\d+)"?$/;
 const WELL_KNOWN_REGEX = /\/\.well-known\/([^\/]+)/;
 
 let ISSUER_CONFIG_CACHE;
 
+// JWKs fetched from a `jwks_uri` that is not an issuer's, e.g., a client's
+let JWKS_CACHE;
+
+// forced refresh state by issuer config URL; issuer config URLs are always
+// trusted values (not from requests) so this map is naturally bounded
+let ISSUER_CONFIG_REFRESHES = new Map();
+
+// loading records for statically declared issuers by issuer config URL
+let STATIC_ISSUER_CONFIGS = new Map();
+
 bedrock.events.on('bedrock.init', async () => {
   _createIssuerConfigCache();
+  _createJwksCache();
+  // fail at startup (not on requests) if a static issuer is misconfigured
+  await _loadStaticIssuers();
 });
 
 /**
  * Fetches the issuer configuration meta data from the given URL. If the URL
  * was previously fetched, then the result may be returned from a cache.
  *
+ * A cached result is refetched (rotated) after the lifetime set by the
+ * `Cache-Control` or `Expires` headers of the issuer config and JWKs
+ * responses (within the configured `httpCache` bounds) or, if not set, the
+ * cache TTL. Refetches use conditional requests (`If-None-Match` /
+ * `If-Modified-Since`) and reuse the cached data on a `304` response.
+ *
+ * If a cached result has expired and fetching it again fails, the expired
+ * result will continue to be returned (marked as `stale`) for up to the
+ * configured `staleIfError` time, with refetches retried using exponential
+ * backoff. A failed fetch never evicts a cached result.
+ *
+ * If the URL is declared in the `staticIssuers` config, then its statically
+ * declared issuer config and JWKs are used instead and no network requests
+ * are made.
+ *
  * @param {object} options - The options to use.
  * @param {string} options.issuerConfigUrl - The URL for the issuer config.
  *
- * @returns {Promise<object>} An object with `issuer`, `jwks`, and full
- *   meta data config in `config`.
+ * @returns {Promise<object>} An object with `issuer`, `jwks`, full
+ *   meta data config in `config`, and `stale` set to `true` if an expired
+ *   result is being used because it could not be refetched.
  */
 export async function discoverIssuer({issuerConfigUrl} = {}) {
+  const staticIssuerConfig = await _getStaticIssuerConfig({issuerConfigUrl});
+  if(staticIssuerConfig) {
+    return staticIssuerConfig;
+  }
+
   // use `issuerConfigUrl` to get cached oauth2 issuer config via
   // RFC 8414, including JWKs
   // https://datatracker.ietf.org/doc/html/rfc8414
   const key = issuerConfigUrl;
-  const fn = () => _getUncachedIssuerConfig({issuerConfigUrl});
+  let miss = false;
+  const fn = () => {
+    miss = true;
+    _recordIssuerConfigCacheMiss({issuerConfigUrl});
+    return _getUncachedIssuerConfig({issuerConfigUrl, trigger: 'miss'});
+  };
 
   // memoize but fetch promise directly to compare below whilst avoiding race
   // condition where the cache could be updated during `await`
   await ISSUER_CONFIG_CACHE.memoize({key, fn});
   const promise = ISSUER_CONFIG_CACHE.cache.peek(key);
   const record = await promise;
+  if(miss && ISSUER_CONFIG_CACHE.cache.peek(key) === promise) {
+    // replace the default cache TTL with the record's own lifetime
+    _cacheIssuerConfig({issuerConfigUrl, promise, record});
+  }
 
-  // clear expired record from cache (if it hasn't already changed) and retry
+  // refresh expired record, serving it stale if that fails
   const now = new Date();
   if(record.expires < now) {
-    if(ISSUER_CONFIG_CACHE.cache.peek(key) === promise) {
-      ISSUER_CONFIG_CACHE.delete(key);
-    }
-    return _getUncachedIssuerConfig({issuerConfigUrl});
+    return _refreshExpiredIssuerConfig({issuerConfigUrl, promise, record});
   }
 
+  if(!miss) {
+    _recordIssuerConfigCacheHit({issuerConfigUrl, stale: false});
+  }
   const {issuer, jwks, config} = record;
-  return {issuer, jwks, config};
+  return {issuer, jwks, config, stale: false};
+}
+
+/**
+ * Forces the issuer configuration meta data, including JWKs, for the given
+ * URL to be refetched and updates the cache with the result. This is useful
+ * when a JWT references a key (`kid`) that is not in the cached JWKs because
+ * the issuer has rotated its keys.
+ *
+ * Concurrent calls for the same URL share a single refresh and refreshes are
+ * limited per URL by the configured `refreshCooldown`; if a refresh is not
+ * permitted, `null` is returned. For a statically declared issuer, its JWKs
+ * file (if any) is reloaded if it has changed (subject to the
+ * `staticIssuerFileCheckInterval` config).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.issuerConfigUrl - The URL for the issuer config.
+ *
+ * @returns {Promise<object>} An object with `issuer`, `jwks`, and full
+ *   meta data config in `config`, or `null` if the refresh was not permitted.
+ */
+export async function refreshIssuerConfig({issuerConfigUrl} = {}) {
+  const staticIssuerConfig = await _getStaticIssuerConfig({issuerConfigUrl});
+  if(staticIssuerConfig) {
+    return staticIssuerConfig;
+  }
+
+  const key = issuerConfigUrl;
+  let refresh = ISSUER_CONFIG_REFRESHES.get(key);
+  if(!refresh?.pending) {
+    const {issuerConfig: {refreshCooldown}} =
+      bedrock.config['oauth2-verifier'];
+    if(refresh && Date.now() - refresh.started < refreshCooldown) {
+      return null;
+    }
+    const promise = _getUncachedIssuerConfig({
+      issuerConfigUrl, trigger: 'refresh'
+    });
+    refresh = {started: Date.now(), pending: true, promise};
+    ISSUER_CONFIG_REFRESHES.set(key, refresh);
+    // replace cached record on success; any scheduled rotation of the
+    // previous record will then be skipped as it is no longer in the cache;
+    // a failure is recorded when fetching and thrown to the caller below
+    promise.then(record => {
+      _cacheIssuerConfig({issuerConfigUrl, promise, record});
+    }, () => {}).finally(() => {
+      refresh.pending = false;
+    });
+  }
+  const {issuer, jwks, config} = await refresh.promise;
+  return {issuer, jwks, config, stale: false};
+}
+
+/**
+ * Fetches a JSON Web Key Set from the given URL, e.g., a client's registered
+ * `jwks_uri`, using the same fetch limits and cache options as issuer
+ * configs. If the URL was previously fetched, then the result may be
+ * returned from a cache.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.jwksUri - The HTTPS URL for the JWKs.
+ *
+ * @returns {Promise<Function>} A function for resolving keys, as created by
+ *   `jose`'s `createLocalJWKSet()`.
+ */
+export async function getRemoteJwks({jwksUri} = {}) {
+  if(!(typeof jwksUri === 'string' && jwksUri.startsWith('https://'))) {
+    throw new TypeError('"jwksUri" must be an HTTPS URL.');
+  }
+  const fn = () => _getUncachedJwks({jwksUri});
+  return JWKS_CACHE.memoize({key: jwksUri, fn});
+}
+
+// exposed for testing purposes only; validates every `staticIssuers` entry
+// and loads any JWKs files, throwing if any entry is invalid
+export async function _loadStaticIssuers() {
+  const {staticIssuers} = bedrock.config['oauth2-verifier'];
+  const loaded = new Map();
+  for(const [issuerConfigUrl, entry] of Object.entries(staticIssuers)) {
+    const record = await _createStaticIssuerRecord({issuerConfigUrl, entry});
+    loaded.set(issuerConfigUrl, {entry, promise: Promise.resolve(record)});
+  }
+  STATIC_ISSUER_CONFIGS = loaded;
 }
 
 // exposed for testing purposes only
 export function _resetIssuerConfigCache({ttl} = {}) {
   _createIssuerConfigCache({ttl});
+  _createJwksCache();
+  ISSUER_CONFIG_REFRESHES = new Map();
+  STATIC_ISSUER_CONFIGS = new Map();
+}
+
+// caches an issuer config record for as long as it may be used, i.e., until
+// it expires and can no longer be served stale; the cache TTL only applies
+// until a record has been fetched
+function _cacheIssuerConfig({issuerConfigUrl, promise, record}) {
+  const {issuerConfig: {staleIfError}} = bedrock.config['oauth2-verifier'];
+  const ttl = record.expires.getTime() + staleIfError - Date.now();
+  ISSUER_CONFIG_CACHE.cache.set(issuerConfigUrl, promise, {ttl});
 }
 
 function _createIssuerConfigCache({ttl} = {}) {
+  // force `updateAgeOnGet` to ensure rotation can happen
+  const options = {..._getCacheOptions(), updateAgeOnGet: true};
+  if(ttl !== undefined) {
+    options.ttl = ttl;
+  }
+  ISSUER_CONFIG_CACHE = new LruCache(options);
+}
+
+function _createJwksCache() {
+  JWKS_CACHE = new LruCache(_getCacheOptions());
+}
+
+function _getCacheOptions() {
   const {issuerConfig} = bedrock.config['oauth2-verifier'];
   let cacheConfig = issuerConfig.cache;
 
@@ -74,21 +231,103 @@ function _createIssuerConfigCache({ttl} = {}) {
     cacheConfig = {...cacheConfig, ttl: cacheConfig.maxAge};
     delete cacheConfig.maxAge;
   }
+  return cacheConfig;
+}
 
-  // force `updateAgeOnGet` to ensure rotation can happen
-  const options = {...cacheConfig, updateAgeOnGet: true};
-  if(ttl !== undefined) {
-    options.ttl = ttl;
+async function _refreshExpiredIssuerConfig({issuerConfigUrl, promise, record}) {
+  const key = issuerConfigUrl;
+  const {issuerConfig: {staleIfError, retryBackoff}} =
+    bedrock.config['oauth2-verifier'];
+  const now = Date.now();
+  const staleUntil = record.expires.getTime() + staleIfError;
+  const canServeStale = now < staleUntil;
+  const serveStale = () => {
+    // keep record cached for as long as it may be served stale (unless it
+    // has already changed)
+    const current = ISSUER_CONFIG_CACHE.cache.peek(key);
+    const ttl = staleUntil - Date.now();
+    if((current === undefined || current === promise) && ttl > 0) {
+      ISSUER_CONFIG_CACHE.cache.set(key, promise, {ttl});
+    }
+    _recordIssuerConfigCacheHit({issuerConfigUrl, stale: true});
+    const {issuer, jwks, config} = record;
+    return {issuer, jwks, config, stale: true};
+  };
+
+  // do not refetch while backing off from a previous failure
+  if(!record.refresh && canServeStale && record.retryAfter > now) {
+    return serveStale();
+  }
+
+  // share a single refetch across concurrent callers
+  if(!record.refresh) {
+    const refresh = _getUncachedIssuerConfig({
+      issuerConfigUrl, previous: record, trigger: 'expired'
+    });
+    record.refresh = refresh;
+    refresh.then(newRecord => {
+      // replace expired record (if it hasn't already changed)
+      if(ISSUER_CONFIG_CACHE.cache.peek(key) === promise) {
+        _cacheIssuerConfig({
+          issuerConfigUrl, promise: refresh, record: newRecord
+        });
+      }
+    }, () => {
+      // back off exponentially before trying again
+      record.failures = (record.failures ?? 0) + 1;
+      const delay = Math.min(
+        retryBackoff.initial * 2 ** (record.failures - 1), retryBackoff.max);
+      record.retryAfter = Date.now() + delay;
+    }).finally(() => {
+      record.refresh = null;
+    });
+  }
+
+  try {
+    const {issuer, jwks, config} = await record.refresh;
+    return {issuer, jwks, config, stale: false};
+  } catch(e) {
+    if(canServeStale) {
+      return serveStale();
+    }
+    // clear record that is too old to serve (if it hasn't already changed)
+    if(ISSUER_CONFIG_CACHE.cache.peek(key) === promise) {
+      ISSUER_CONFIG_CACHE.delete(key);
+    }
+    throw e;
+  }
+}
+
+// fetches an issuer config, recording the outcome; `trigger` is the reason
+// for the fetch: `miss`, `expired`, `refresh`, or `rotation`
+async function _getUncachedIssuerConfig({issuerConfigUrl, previous, trigger}) {
+  const start = Date.now();
+  try {
+    const record = await _fetchIssuerConfig({issuerConfigUrl, previous});
+    _recordIssuerConfigFetch({
+      issuerConfigUrl, trigger, duration: Date.now() - start
+    });
+    return record;
+  } catch(error) {
+    _recordIssuerConfigFetch({
+      issuerConfigUrl, trigger, duration: Date.now() - start, error
+    });
+    throw error;
   }
-  ISSUER_CONFIG_CACHE = new LruCache(options);
 }
 
-async function _getUncachedIssuerConfig({issuerConfigUrl}) {
+async function _fetchIssuerConfig({issuerConfigUrl, previous}) {
   // ensure retrieving file has both timeout and size limits
   const {issuerConfig} = bedrock.config['oauth2-verifier'];
   const fetchOptions = {...issuerConfig.fetchOptions, agent};
-  let response = await httpClient.get(issuerConfigUrl, fetchOptions);
-  if(!response.data) {
+
+  // fetch issuer config, reusing any previous config if not modified
+  const {response: configResponse, notModified: configNotModified} =
+    await _fetch({
+      url: issuerConfigUrl, fetchOptions,
+      validators: previous?.validators.config
+    });
+  if(!(configNotModified || configResponse.data)) {
     throw new BedrockError(
       'Invalid OAuth2 issuer configuration; format is not JSON.', {
         name: 'OperationError',
@@ -98,20 +337,11 @@ async function _getUncachedIssuerConfig({issuerConfigUrl}) {
         }
       });
   }
-  const {data: config} = response;
-  const {data: {issuer, jwks_uri}} = response;
+  const config = configNotModified ? previous.config : configResponse.data;
+  const {issuer, jwks_uri} = config;
 
   // validate `issuer` and `jwk_uris`
-  if(!(typeof issuer === 'string' && issuer.startsWith('https://'))) {
-    throw new BedrockError(
-      'Invalid OAuth2 issuer configuration; "issuer" is not an HTTPS URL.', {
-        name: 'OperationError',
-        details: {
-          httpStatusCode: 500,
-          public: true
-        }
-      });
-  }
+  _validateIssuer({issuerConfigUrl, issuer});
   if(!(typeof jwks_uri === 'string' && jwks_uri.startsWith('https://'))) {
     throw new BedrockError(
       'Invalid OAuth2 issuer configuration; "jwks_uri" is not an HTTPS URL.', {
@@ -123,40 +353,14 @@ async function _getUncachedIssuerConfig({issuerConfigUrl}) {
       });
   }
 
-  /* Validate `issuer` value against `issuerConfigUrl` (per RFC 8414):
-
-  The `origin` and `path` element must be parsed from `issuer` and checked
-  against `issuerConfigUrl` like so:
-
-  For issuer `<origin>` (no path), `issuerConfigUrl` must match:
-  `<origin>/.well-known/<any-path-segment>`
-
-  For issuer `<origin><path>`, `issuerConfigUrl` must be:
-  `<origin>/.well-known/<any-path-segment><path>` */
-  const {pathname: wellKnownPath} = new URL(issuerConfigUrl);
-  const anyPathSegment = wellKnownPath.match(WELL_KNOWN_REGEX)[1];
-  const {origin, pathname} = new URL(issuer);
-  let expectedConfigUrl = `${origin}/.well-known/${anyPathSegment}`;
-  if(pathname !== '/') {
-    expectedConfigUrl += pathname;
-  }
-  if(issuerConfigUrl !== expectedConfigUrl) {
-    throw new BedrockError(
-      'Invalid OAuth2 issuer configuration; "issuer" does not match ' +
-      'configuration URL.', {
-        name: 'OperationError',
-        details: {
-          httpStatusCode: 500,
-          public: true,
-          expected: expectedConfigUrl,
-          actual: issuerConfigUrl
-        }
-      });
-  }
-
-  // fetch JWKs
-  response = await httpClient.get(jwks_uri, fetchOptions);
-  if(!response.data) {
+  // fetch JWKs, reusing any previous JWKs if not modified (and from the same
+  // `jwks_uri`)
+  const {response: jwksResponse, notModified: jwksNotModified} = await _fetch({
+    url: jwks_uri, fetchOptions,
+    validators: previous?.config.jwks_uri === jwks_uri ?
+      previous.validators.jwks : undefined
+  });
+  if(!(jwksNotModified || jwksResponse.data)) {
     throw new BedrockError(
       'Invalid OAuth2 issuer "jwk_uri" response; format is not JSON.', {
         name: 'OperationError',
@@ -169,7 +373,8 @@ async function _getUncachedIssuerConfig({issuerConfigUrl}) {
   // try to parse JSON Web Key Set
   let jwks;
   try {
-    jwks = await createLocalJWKSet(response.data);
+    jwks = jwksNotModified ?
+      previous.jwks : await createLocalJWKSet(jwksResponse.data);
   } catch(cause) {
     throw new BedrockError(
       'Invalid OAuth2 issuer "jwk_uri" response; ' +
@@ -183,11 +388,21 @@ async function _getUncachedIssuerConfig({issuerConfigUrl}) {
       });
   }
 
-  // return issuer and JWKs only at this time; perhaps cache and return
-  // full config response as `config` in the future; expire config at twice
-  // its cache TTL
-  const expires = new Date(Date.now() + ISSUER_CONFIG_CACHE.cache.ttl * 2);
-  const record = {issuer, jwks, config, next: null, expires};
+  // rotate record after its HTTP cache lifetime (or the cache TTL) and
+  // expire it at twice that time
+  const ttl = _getRecordTtl({responses: [configResponse, jwksResponse]});
+  const expires = new Date(Date.now() + ttl * 2);
+  const validators = {
+    config: _getValidators({
+      response: configResponse,
+      previous: configNotModified ? previous.validators.config : undefined
+    }),
+    jwks: _getValidators({
+      response: jwksResponse,
+      previous: jwksNotModified ? previous.validators.jwks : undefined
+    })
+  };
+  const record = {issuer, jwks, config, validators, next: null, expires};
 
   // schedule potential cache record rotation
   record.next = new Promise(resolve => setTimeout(() => {
@@ -203,19 +418,344 @@ async function _getUncachedIssuerConfig({issuerConfigUrl}) {
         return resolve(null);
       }
 
-      // start rotation process
-      const promise = _getUncachedIssuerConfig({issuerConfigUrl});
-      promise.then(() => {
+      // start rotation process; sends conditional requests so that the
+      // current record's data will be reused if not modified
+      const promise = _getUncachedIssuerConfig({
+        issuerConfigUrl, previous: record, trigger: 'rotation'
+      });
+      // a failure is recorded (and logged) when fetching; the current
+      // record remains cached until it expires
+      promise.then(newRecord => {
         if(current === ISSUER_CONFIG_CACHE.cache.peek(issuerConfigUrl)) {
-          ISSUER_CONFIG_CACHE.cache.set(issuerConfigUrl, promise);
+          _cacheIssuerConfig({issuerConfigUrl, promise, record: newRecord});
         }
-      }).catch(() => {});
+      }, () => {});
 
       // `next` always stores `null` or a promise that resolves
       // to a record or error, but does not reject
       resolve(promise.catch(e => e));
     }).catch(() => resolve(null));
-  }, ISSUER_CONFIG_CACHE.cache.ttl));
+  }, ttl));
+
+  return record;
+}
+
+async function _getUncachedJwks({jwksUri}) {
+  const {issuerConfig} = bedrock.config['oauth2-verifier'];
+  const fetchOptions = {...issuerConfig.fetchOptions, agent};
+  const {response} = await _fetch({url: jwksUri, fetchOptions});
+  if(!response.data) {
+    throw new BedrockError(
+      'Invalid "jwks_uri" response; format is not JSON.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  try {
+    return await createLocalJWKSet(response.data);
+  } catch(cause) {
+    throw new BedrockError(
+      'Invalid "jwks_uri" response; JSON Web Key Set is malformed.', {
+        name: 'OperationError',
+        cause,
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+}
 
+// fetches `url`, sending a conditional request when `validators` are given;
+// `notModified` is set to `true` on a `304` response
+async function _fetch({url, fetchOptions, validators}) {
+  const headers = {...fetchOptions.headers};
+  if(validators?.etag) {
+    headers['if-none-match'] = validators.etag;
+  }
+  if(validators?.lastModified) {
+    headers['if-modified-since'] = validators.lastModified;
+  }
+  try {
+    const response = await httpClient.get(url, {...fetchOptions, headers});
+    return {response, notModified: false};
+  } catch(e) {
+    if(validators && e.status === 304) {
+      return {response: e.response, notModified: true};
+    }
+    throw e;
+  }
+}
+
+// gets the cache lifetime (in ms) from the `Cache-Control` or `Expires`
+// header of a response or `undefined` if neither header specifies one
+function _getHttpCacheTtl({response}) {
+  const {headers} = response;
+  const cacheControl = headers.get('cache-control');
+  if(cacheControl) {
+    const directives = cacheControl.toLowerCase().split(',')
+      .map(d => d.trim());
+    if(directives.includes('no-store') || directives.includes('no-cache')) {
+      return 0;
+    }
+    for(const directive of directives) {
+      const match = directive.match(MAX_AGE_REGEX);
+      if(match) {
+        return parseInt(match[1], 10) * 1000;
+      }
+    }
+  }
+  const expires = headers.get('expires');
+  if(expires) {
+    // an invalid `Expires` date means "already expired" (RFC 9111); measure
+    // against the server's `Date` (if valid) to tolerate clock differences
+    const expiresTime = Date.parse(expires);
+    const date = Date.parse(headers.get('date'));
+    const now = Number.isNaN(date) ? Date.now() : date;
+    return Number.isNaN(expiresTime) ? 0 : Math.max(0, expiresTime - now);
+  }
+}
+
+// gets the TTL for a record from the HTTP cache lifetimes of its responses,
+// clamped to the configured bounds, or the cache TTL if none is specified
+function _getRecordTtl({responses}) {
+  const {issuerConfig: {httpCache: {minTtl, maxTtl}}} =
+    bedrock.config['oauth2-verifier'];
+  const ttls = responses
+    .map(response => _getHttpCacheTtl({response}))
+    .filter(ttl => ttl !== undefined);
+  if(ttls.length === 0) {
+    return ISSUER_CONFIG_CACHE.cache.ttl;
+  }
+  return Math.min(Math.max(Math.min(...ttls), minTtl), maxTtl);
+}
+
+function _getValidators({response, previous}) {
+  const {headers} = response;
+  return {
+    etag: headers.get('etag') ?? previous?.etag,
+    lastModified: headers.get('last-modified') ?? previous?.lastModified
+  };
+}
+
+// gets the issuer config for a statically declared issuer, reloading its
+// JWKs file if it has changed, or `null` if the issuer is not declared
+async function _getStaticIssuerConfig({issuerConfigUrl}) {
+  const {staticIssuers} = bedrock.config['oauth2-verifier'];
+  if(!Object.hasOwn(staticIssuers, issuerConfigUrl)) {
+    return null;
+  }
+  const entry = staticIssuers[issuerConfigUrl];
+
+  // declared entries are loaded at startup; an entry that has been changed
+  // since is (re)loaded once, sharing the load across concurrent callers
+  let loading = STATIC_ISSUER_CONFIGS.get(issuerConfigUrl);
+  if(loading?.entry !== entry) {
+    const promise = _createStaticIssuerRecord({issuerConfigUrl, entry});
+    loading = {entry, promise};
+    STATIC_ISSUER_CONFIGS.set(issuerConfigUrl, loading);
+    // retry a failed load on the next call
+    promise.catch(() => {
+      if(STATIC_ISSUER_CONFIGS.get(issuerConfigUrl) === loading) {
+        STATIC_ISSUER_CONFIGS.delete(issuerConfigUrl);
+      }
+    });
+  }
+  const record = await loading.promise;
+
+  if(record.jwksFile) {
+    await _checkJwksFile({record});
+  }
+  const {issuer, jwks, config} = record;
+  return {issuer, jwks, config, stale: false};
+}
+
+async function _createStaticIssuerRecord({issuerConfigUrl, entry}) {
+  const {config, jwks, jwksFile} = entry ?? {};
+  if(!(config && typeof config === 'object')) {
+    throw new BedrockError(
+      'Invalid static OAuth2 issuer configuration; "config" is not an object.',
+      {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  if((jwks === undefined) === (jwksFile === undefined)) {
+    throw new BedrockError(
+      'Invalid static OAuth2 issuer configuration; exactly one of "jwks" or ' +
+      '"jwksFile" must be given.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  if(!(jwksFile === undefined || (jwksFile && typeof jwksFile === 'string'))) {
+    throw new BedrockError(
+      'Invalid static OAuth2 issuer configuration; "jwksFile" is not a ' +
+      'string.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  const {issuer} = config;
+  _validateIssuer({issuerConfigUrl, issuer});
+  const record = {
+    issuer, config, jwks: null, jwksFile, file: null, nextCheck: 0,
+    check: null
+  };
+  if(jwks !== undefined) {
+    record.jwks = await _createStaticJwks({jwks});
+  } else {
+    // stat before reading so that a change made whilst reading is detected
+    // by the next check
+    record.file = await _statJwksFile({path: jwksFile});
+    record.jwks = await _loadJwksFile({path: jwksFile});
+    record.nextCheck = Date.now() + _getFileCheckInterval();
+  }
   return record;
 }
+
+// reloads a static issuer's JWKs file if it has changed on disk; checks are
+// throttled and a single check is shared across concurrent callers; if the
+// file cannot be reloaded, the previously loaded JWKs continue to be used
+async function _checkJwksFile({record}) {
+  if(!record.check) {
+    if(Date.now() < record.nextCheck) {
+      return;
+    }
+    const {jwksFile: path} = record;
+    record.check = (async () => {
+      try {
+        const file = await _statJwksFile({path});
+        if(!(file.mtimeMs === record.file.mtimeMs &&
+          file.size === record.file.size)) {
+          record.jwks = await _loadJwksFile({path});
+          record.file = file;
+        }
+      } catch(error) {
+        logger.warning('Static OAuth2 issuer JWKs file reload failed.', {
+          jwksFile: path, error
+        });
+      } finally {
+        record.nextCheck = Date.now() + _getFileCheckInterval();
+        record.check = null;
+      }
+    })();
+  }
+  await record.check;
+}
+
+function _getFileCheckInterval() {
+  return bedrock.config['oauth2-verifier'].staticIssuerFileCheckInterval;
+}
+
+async function _createStaticJwks({jwks}) {
+  try {
+    return await createLocalJWKSet(jwks);
+  } catch(cause) {
+    throw new BedrockError(
+      'Invalid static OAuth2 issuer configuration; ' +
+      'JSON Web Key Set is malformed.', {
+        name: 'OperationError',
+        cause,
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+}
+
+async function _loadJwksFile({path}) {
+  let jwks;
+  try {
+    jwks = JSON.parse(await readFile(path, 'utf8'));
+  } catch(cause) {
+    throw new BedrockError(
+      'Invalid static OAuth2 issuer configuration; "jwksFile" could not be ' +
+      'read as JSON.', {
+        name: 'OperationError',
+        cause,
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  return _createStaticJwks({jwks});
+}
+
+async function _statJwksFile({path}) {
+  try {
+    const {mtimeMs, size} = await stat(path);
+    return {mtimeMs, size};
+  } catch(cause) {
+    throw new BedrockError(
+      'Invalid static OAuth2 issuer configuration; "jwksFile" could not be ' +
+      'read.', {
+        name: 'OperationError',
+        cause,
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+}
+
+// validates `issuer` against the `issuerConfigUrl` it was retrieved from
+function _validateIssuer({issuerConfigUrl, issuer}) {
+  // validate `issuer`
+  if(!(typeof issuer === 'string' && issuer.startsWith('https://'))) {
+    throw new BedrockError(
+      'Invalid OAuth2 issuer configuration; "issuer" is not an HTTPS URL.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+
+  /* Validate `issuer` value against `issuerConfigUrl` (per RFC 8414):
+
+  The `origin` and `path` element must be parsed from `issuer` and checked
+  against `issuerConfigUrl` like so:
+
+  For issuer `<origin>` (no path), `issuerConfigUrl` must match:
+  `<origin>/.well-known/<any-path-segment>`
+
+  For issuer `<origin><path>`, `issuerConfigUrl` must be:
+  `<origin>/.well-known/<any-path-segment><path>` */
+  const {pathname: wellKnownPath} = new URL(issuerConfigUrl);
+  const anyPathSegment = wellKnownPath.match(WELL_KNOWN_REGEX)[1];
+  const {origin, pathname} = new URL(issuer);
+  let expectedConfigUrl = `${origin}/.well-known/${anyPathSegment}`;
+  if(pathname !== '/') {
+    expectedConfigUrl += pathname;
+  }
+  if(issuerConfigUrl !== expectedConfigUrl) {
+    throw new BedrockError(
+      'Invalid OAuth2 issuer configuration; "issuer" does not match ' +
+      'configuration URL.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true,
+          expected: expectedConfigUrl,
+          actual: issuerConfigUrl
+        }
+      });
+  }
+}
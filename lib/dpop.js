@@ -0,0 +1,161 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {
+  base64url, calculateJwkThumbprint, EmbeddedJWK, jwtVerify
+} from 'jose';
+import {createNotAllowedError, createReplayCache} from './helpers.js';
+import {createHash} from 'node:crypto';
+
+let DPOP_REPLAY_CACHE;
+
+bedrock.events.on('bedrock.init', async () => {
+  _createDpopReplayCache();
+});
+
+/**
+ * Checks the DPoP proof (RFC 9449) sent in the `DPoP` header of the given
+ * HTTP request against the given (already verified) access token. The proof
+ * must be signed by the key embedded in its `jwk` header, it must match the
+ * request's method (`htm`) and URL (`htu`), it must be fresh (`iat`), it
+ * must hash the access token (`ath`), its key thumbprint must match the
+ * access token's `cnf.jkt` claim, and its `jti` must not have been seen
+ * before. Seen `jti` values are kept until their proofs could no longer be
+ * accepted; if too many are kept, the proof is rejected with a
+ * `QuotaExceededError` (HTTP 503) instead of forgetting any of them.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc9449#section-4.3 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.req - The HTTP request interface, providing a
+ *   `get()` function to access the `dpop` header and `method`.
+ * @param {string} options.accessToken - The access token presented with the
+ *   proof.
+ * @param {string} [options.jkt] - The JWK SHA-256 thumbprint from the access
+ *   token's `cnf.jkt` claim.
+ * @param {string} options.requestUrl - The absolute URL of the request.
+ * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
+ *   in seconds (when verifying time-based claims).
+ *
+ * @returns {Promise<object>} An object with the proof's `payload`,
+ *   `protectedHeader`, and key thumbprint `jkt`.
+ */
+export async function checkDpopProof({
+  req, accessToken, jkt, requestUrl, maxClockSkew = 300
+} = {}) {
+  const {dpop: dpopConfig} = bedrock.config['oauth2-verifier'];
+
+  // exactly one DPoP proof must be given; a JWT never includes a comma so
+  // one present here means multiple `DPoP` headers were sent
+  const proof = req.get('dpop');
+  if(!proof || proof.includes(',')) {
+    _throwProofError({
+      code: 'ERR_JWT_INVALID',
+      reason: 'DPoP proof not provided or invalid.'
+    });
+  }
+
+  // the access token must be bound to a DPoP key
+  if(typeof jkt !== 'string') {
+    _throwProofError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'Access token is not bound to a DPoP key.',
+      claim: 'cnf'
+    });
+  }
+
+  // `jwtVerify` checks `typ`, `iat` freshness, required claims, and that
+  // the proof is signed by its embedded (public) JWK
+  let payload;
+  let protectedHeader;
+  try {
+    ({payload, protectedHeader} = await jwtVerify(proof, EmbeddedJWK, {
+      algorithms: dpopConfig.allowedAlgorithms,
+      clockTolerance: maxClockSkew,
+      maxTokenAge: dpopConfig.maxProofAge,
+      requiredClaims: ['jti', 'htm', 'htu', 'iat'],
+      typ: 'dpop+jwt'
+    }));
+  } catch(e) {
+    _throwProofError({code: e.code, reason: e.message, claim: e.claim});
+  }
+
+  if(payload.htm !== req.method) {
+    _throwProofError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'DPoP proof "htm" does not match the request method.',
+      claim: 'htm'
+    });
+  }
+  const htu = _normalizeHtu(payload.htu);
+  if(htu === undefined || htu !== _normalizeHtu(requestUrl)) {
+    _throwProofError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'DPoP proof "htu" does not match the request URL.',
+      claim: 'htu'
+    });
+  }
+  const ath = base64url.encode(
+    createHash('sha256').update(accessToken).digest());
+  if(payload.ath !== ath) {
+    _throwProofError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'DPoP proof "ath" does not match the access token.',
+      claim: 'ath'
+    });
+  }
+  const proofJkt = await calculateJwkThumbprint(protectedHeader.jwk, 'sha256');
+  if(proofJkt !== jkt) {
+    _throwProofError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'DPoP proof key does not match access token "cnf.jkt".',
+      claim: 'cnf'
+    });
+  }
+
+  // detect replay; a `jti` only needs to be remembered for as long as the
+  // proof could otherwise be accepted
+  const expires = (payload.iat + dpopConfig.maxProofAge + maxClockSkew) * 1000;
+  if(!DPOP_REPLAY_CACHE.add({key: `${jkt}:${payload.jti}`, expires})) {
+    _throwProofError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'DPoP proof has already been used.',
+      claim: 'jti'
+    });
+  }
+
+  return {payload, protectedHeader, jkt};
+}
+
+// exposed for testing purposes only
+export function _resetDpopReplayCache() {
+  _createDpopReplayCache();
+}
+
+function _createDpopReplayCache() {
+  const {dpop: {replayCache}} = bedrock.config['oauth2-verifier'];
+  DPOP_REPLAY_CACHE = createReplayCache({
+    ...replayCache,
+    message: 'DPoP proof could not be recorded; too many unexpired DPoP ' +
+      'proofs have been used.'
+  });
+}
+
+// `htu` is compared without query and fragment parts per RFC 9449
+function _normalizeHtu(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.search = '';
+    parsed.hash = '';
+    return parsed.href;
+  } catch(e) {
+    return undefined;
+  }
+}
+
+function _throwProofError({code, reason, claim}) {
+  throw createNotAllowedError({
+    message: 'DPoP proof validation failed.', code, reason, claim
+  });
+}
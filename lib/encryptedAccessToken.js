@@ -0,0 +1,139 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {compactDecrypt, decodeProtectedHeader, importJWK} from 'jose';
+import {createNotAllowedError} from './helpers.js';
+
+// imported decryption keys by JWK and then by algorithm
+const IMPORTED_KEYS = new WeakMap();
+
+/**
+ * Checks whether the given access token is encrypted, i.e., whether it uses
+ * the five part JWE compact serialization (a JWS has three parts).
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.jwt - The access token.
+ *
+ * @returns {boolean} `true` if the access token is encrypted.
+ */
+export function isEncryptedAccessToken({jwt} = {}) {
+  return typeof jwt === 'string' && jwt.split('.').length === 5;
+}
+
+/**
+ * Decrypts an encrypted access token, i.e., a nested JWT that was signed and
+ * then encrypted (JWE), using the decryption keys configured for the given
+ * audience in `encryptedAccessTokens.decryptionKeys`. If no audience is
+ * given (e.g., when it is only known from the trusted issuer of the inner
+ * JWT), the keys for every configured audience that match the JWE's `kid`
+ * (if any) are tried and the audience whose key decrypted the token is
+ * returned; that audience must then match the audience the inner JWT is
+ * verified for. The JWE `alg` and `enc` must be in the audience's (or
+ * default) allow lists and its `cty` header must be `JWT`. The decrypted
+ * (inner) JWT is returned and must then be verified as usual; see
+ * `checkAccessToken()`.
+ *
+ * Any failure is thrown as a `NotAllowedError` with the error code
+ * `ERR_JWE_DECRYPTION_FAILED`.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc7519#section-5.2 .
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.jwt - The encrypted access token.
+ * @param {string} [options.audience] - The audience to select the decryption
+ *   keys for; if not given, the keys for all audiences are used.
+ *
+ * @returns {Promise<object>} An object with the decrypted (inner) `jwt`, the
+ *   JWE `protectedHeader`, and the `audience` whose key decrypted it.
+ */
+export async function decryptAccessToken({jwt, audience} = {}) {
+  const {encryptedAccessTokens: defaults} = bedrock.config['oauth2-verifier'];
+  const {decryptionKeys} = defaults;
+  const audiences = audience === undefined ?
+    Object.keys(decryptionKeys) : [audience];
+  const entries = audiences
+    .filter(aud => typeof aud === 'string' &&
+      Object.hasOwn(decryptionKeys, aud))
+    .map(aud => ({audience: aud, entry: decryptionKeys[aud]}))
+    .filter(({entry}) => Array.isArray(entry?.keys) && entry.keys.length > 0);
+  if(entries.length === 0) {
+    _throwDecryptionError({
+      reason: 'No decryption keys are configured for the audience.'
+    });
+  }
+
+  let header;
+  try {
+    header = decodeProtectedHeader(jwt);
+  } catch(e) {
+    _throwDecryptionError({reason: e.message});
+  }
+
+  // try each key that matches the JWE's `kid` (if any) and `alg`; the
+  // allow lists are enforced by `compactDecrypt`
+  let result;
+  let error;
+  let decryptedFor;
+  for(const {audience: candidateAudience, entry} of entries) {
+    const {
+      keyManagementAlgorithms = defaults.keyManagementAlgorithms,
+      contentEncryptionAlgorithms = defaults.contentEncryptionAlgorithms
+    } = entry;
+    const candidates = entry.keys.filter(jwk =>
+      (header.kid === undefined || jwk.kid === header.kid) &&
+      (jwk.alg === undefined || jwk.alg === header.alg));
+    for(const jwk of candidates) {
+      try {
+        const key = await _importKey({jwk, alg: header.alg});
+        result = await compactDecrypt(jwt, key, {
+          keyManagementAlgorithms: keyManagementAlgorithms
+            .filter(alg => alg !== 'dir'),
+          contentEncryptionAlgorithms
+        });
+        decryptedFor = candidateAudience;
+        break;
+      } catch(e) {
+        error = e;
+      }
+    }
+    if(result) {
+      break;
+    }
+  }
+  if(!result) {
+    _throwDecryptionError({
+      reason: error?.message ?? 'No matching decryption key found.'
+    });
+  }
+
+  // only nested JWTs are supported
+  const {plaintext, protectedHeader} = result;
+  if(protectedHeader.cty?.toUpperCase() !== 'JWT') {
+    _throwDecryptionError({
+      reason: 'Encrypted access token "cty" header must be "JWT".'
+    });
+  }
+  return {
+    jwt: new TextDecoder().decode(plaintext), protectedHeader,
+    audience: decryptedFor
+  };
+}
+
+async function _importKey({jwk, alg}) {
+  let keys = IMPORTED_KEYS.get(jwk);
+  if(!keys) {
+    keys = new Map();
+    IMPORTED_KEYS.set(jwk, keys);
+  }
+  let key = keys.get(alg);
+  if(!key) {
+    key = await importJWK(jwk, alg);
+    keys.set(alg, key);
+  }
+  return key;
+}
+
+function _throwDecryptionError({reason}) {
+  throw createNotAllowedError({code: 'ERR_JWE_DECRYPTION_FAILED', reason});
+}
@@ -0,0 +1,219 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {canonicalizeTarget} from './canonicalization.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Creates a `NotAllowedError` (HTTP 403) for a failed token check; this is
+ * the error shape used for all access token validation failures.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.message='Access token validation failed.'] - The
+ *   error message.
+ * @param {string} options.code - The error code, e.g., a `jose` error code.
+ * @param {string} options.reason - The reason the check failed.
+ * @param {string} [options.claim] - The claim that failed validation.
+ * @param {object} [options.extra] - Any extra error details, e.g., the
+ *   requirements that were not met.
+ *
+ * @returns {BedrockError} The error.
+ */
+export function createNotAllowedError({
+  message = 'Access token validation failed.', code, reason, claim, extra
+} = {}) {
+  const details = {
+    httpStatusCode: 403,
+    public: true,
+    code,
+    reason,
+    ...extra
+  };
+  if(claim) {
+    details.claim = claim;
+  }
+  return new BedrockError(message, {name: 'NotAllowedError', details});
+}
+
+/**
+ * Creates an in-memory cache of seen keys (e.g., the `jti` values of single
+ * use tokens or proofs) for detecting replays. Each key is kept until it
+ * expires and is never evicted early, as that would allow a replay: once
+ * `max` unexpired keys are kept, adding another fails with a
+ * `QuotaExceededError` (HTTP 503) until some expire.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} [options.max=10000] - The maximum number of unexpired keys
+ *   to keep.
+ * @param {string} options.message - The error message to use when a key
+ *   cannot be added because too many unexpired keys are kept.
+ *
+ * @returns {object} The replay cache; its `add({key, expires})` function
+ *   adds a key until the given expiration time (in milliseconds since the
+ *   epoch, defaults to never) and returns `false` if the key was already
+ *   added and has not expired.
+ */
+export function createReplayCache({max = 10000, message} = {}) {
+  // expiration times of seen keys
+  const seen = new Map();
+  // earliest expiration time of any seen key
+  let nextExpiration = Infinity;
+  const removeExpired = () => {
+    const now = Date.now();
+    nextExpiration = Infinity;
+    for(const [key, expires] of seen) {
+      if(expires <= now) {
+        seen.delete(key);
+      } else {
+        nextExpiration = Math.min(nextExpiration, expires);
+      }
+    }
+  };
+  return {
+    add({key, expires = Infinity}) {
+      const now = Date.now();
+      if(seen.get(key) > now) {
+        return false;
+      }
+      seen.delete(key);
+      if(seen.size >= max && nextExpiration <= now) {
+        removeExpired();
+      }
+      if(seen.size >= max) {
+        // fail closed; forgetting an unexpired key would allow a replay
+        throw new BedrockError(message, {
+          name: 'QuotaExceededError',
+          details: {
+            httpStatusCode: 503,
+            public: true
+          }
+        });
+      }
+      seen.set(key, expires);
+      nextExpiration = Math.min(nextExpiration, expires);
+      return true;
+    }
+  };
+}
+
+/**
+ * Checks whether a value is equal to or hierarchically within a prefix, i.e.,
+ * it starts with the prefix and the prefix terminates just before a path or
+ * query delimiter; this allows path- and query-based attenuation, e.g., a
+ * prefix of `/foos` includes `/foos/1` and `/foos?bar=baz` but not `/foosbar`.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.prefix - The prefix.
+ * @param {string} options.value - The value to check.
+ *
+ * @returns {boolean} `true` if the value is within the prefix.
+ */
+export function isWithinPrefix({prefix, value} = {}) {
+  if(!value.startsWith(prefix)) {
+    return false;
+  }
+  const rest = value.slice(prefix.length);
+  return rest.length === 0 || rest.startsWith('/') || rest.startsWith('?') ||
+    rest.startsWith('&') || rest.startsWith('#');
+}
+
+/**
+ * Finds the first value in the given scope values that grants an action on
+ * a path: it must have the format `<action>:<target>` with an exact `action`
+ * match and a `target` of `/` (full path access) or that the path is within
+ * (see `isWithinPrefix()`). Each target is canonicalized first (see
+ * `canonicalizeTarget()`); scope values with targets that cannot be
+ * canonicalized never match. The path must already be canonical.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array<string>} options.scopes - The scope values.
+ * @param {string} options.action - The action.
+ * @param {string} options.path - The canonical path.
+ * @param {boolean} [options.unorderedQuery=false] - Set to `true` to match a
+ *   target with a query if its path is the same as the path's and each of
+ *   its query parameters is in the path's query, in any order.
+ *
+ * @returns {object|undefined} An object with the matching `scope` value and
+ *   the `remainingPath`, i.e., the part of the path beyond its target (or,
+ *   for an unordered query match, any other query parameters, each prefixed
+ *   with `&`); or `undefined` if no value matches.
+ */
+export function findMatchingScope({
+  scopes, action, path, unorderedQuery = false
+} = {}) {
+  const requiredActionScope = `${action}:`;
+  for(const scope of scopes) {
+    // require exact `action` match
+    if(!scope.startsWith(requiredActionScope)) {
+      continue;
+    }
+    // allow hierarchical, HTTP path- or query- based attenuation
+    const pathScope = tryCanonicalizeTarget({
+      target: scope.slice(requiredActionScope.length)
+    });
+    if(pathScope === undefined) {
+      continue;
+    }
+    if(pathScope === '/') {
+      // full path access granted
+      return {scope, remainingPath: path};
+    }
+    // `pathScope` must terminate just before a path or query delimiter
+    if(isWithinPrefix({prefix: pathScope, value: path})) {
+      return {scope, remainingPath: path.slice(pathScope.length)};
+    }
+    if(unorderedQuery && pathScope.includes('?')) {
+      const remainingPath = _matchUnorderedQuery({pathScope, path});
+      if(remainingPath !== undefined) {
+        return {scope, remainingPath};
+      }
+    }
+  }
+}
+
+/**
+ * Canonicalizes a target (see `canonicalizeTarget()`) without throwing, e.g.,
+ * for a scope target or an authorization details location from an access
+ * token, which then never matches if it cannot be canonicalized.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.target - The target to canonicalize.
+ *
+ * @returns {string|undefined} The canonical target or `undefined` if it
+ *   cannot be canonicalized.
+ */
+export function tryCanonicalizeTarget({target} = {}) {
+  try {
+    return canonicalizeTarget({target});
+  } catch(e) {
+    return undefined;
+  }
+}
+
+// returns the query parameters of `path` that are not in `pathScope` if the
+// paths are the same and all of the query parameters of `pathScope` are in
+// `path`, in any order
+function _matchUnorderedQuery({pathScope, path}) {
+  const [scopePath, scopeQuery] = _splitQuery({value: pathScope});
+  const [valuePath, valueQuery = ''] = _splitQuery({value: path});
+  if(scopePath !== valuePath) {
+    return;
+  }
+  const remaining = valueQuery.split('&');
+  for(const param of scopeQuery.split('&')) {
+    const index = remaining.indexOf(param);
+    if(index === -1) {
+      return;
+    }
+    remaining.splice(index, 1);
+  }
+  return remaining.filter(param => param).map(param => `&${param}`).join('');
+}
+
+function _splitQuery({value}) {
+  const index = value.indexOf('?');
+  return index === -1 ?
+    [value] : [value.slice(0, index), value.slice(index + 1)];
+}
@@ -0,0 +1,164 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {base64url, jwtVerify} from 'jose';
+import {createHash} from 'node:crypto';
+import {createNotAllowedError} from './helpers.js';
+import {discoverIssuer} from './discovery.js';
+
+// hash algorithm to use for `at_hash` and `c_hash` by JWS algorithm
+const HASH_ALGORITHM_FOR_JWS_ALGORITHM = new Map([
+  ['EdDSA', 'sha512'],
+  ['ES256', 'sha256'],
+  ['ES256K', 'sha256'],
+  ['ES384', 'sha384'],
+  ['ES512', 'sha512'],
+  ['PS256', 'sha256'],
+  ['PS384', 'sha384'],
+  ['PS512', 'sha512'],
+  ['RS256', 'sha256'],
+  ['RS384', 'sha384'],
+  ['RS512', 'sha512']
+]);
+
+/**
+ * Checks an OpenID Connect ID token per OpenID Connect Core 1.0
+ * Section 3.1.3.7. The signature is verified using the trusted issuer's
+ * JWKs (as discovered from, e.g., its `/.well-known/openid-configuration`)
+ * and the claims checked are: `iss`, `aud` (must include `clientId`), `azp`
+ * (required if there are multiple audiences), `exp`, `nbf`, `iat` (must be
+ * within `maxTokenAge`), and, when the related options are given, `nonce`,
+ * `auth_time`, `at_hash`, and `c_hash`.
+ *
+ * See: https://openid.net/specs/openid-connect-core-1_0.html#IDTokenValidation
+ * .
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.idToken - The ID token.
+ * @param {string} options.issuerConfigUrl - The URL for the config (meta data)
+ *   for the trusted issuer.
+ * @param {string} options.clientId - The client ID of the relying party.
+ * @param {string} [options.nonce] - The `nonce` sent with the authentication
+ *   request; if given, the ID token's `nonce` claim must equal it.
+ * @param {number} [options.maxAge] - The `max_age` sent with the
+ *   authentication request (in seconds); if given, the ID token must include
+ *   an `auth_time` claim that is no older than this.
+ * @param {string} [options.accessToken] - An access token issued with the ID
+ *   token; if given and the ID token has an `at_hash` claim, it must match.
+ * @param {string} [options.code] - An authorization code issued with the ID
+ *   token; if given and the ID token has a `c_hash` claim, it must match.
+ * @param {Array} [options.allowedAlgorithms] - An allow list of JOSE
+ *   algorithms; the `none` algorithm is automatically disallowed.
+ * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
+ *   in seconds (when verifying time-based claims).
+ * @param {number} [options.maxTokenAge=600] - The maximum age of the ID token
+ *   (based on its `iat` claim) in seconds.
+ *
+ * @returns {Promise<object>} An object with `payload` and `protectedHeader`.
+ */
+export async function checkIdToken({
+  idToken, issuerConfigUrl, clientId, nonce, maxAge, accessToken, code,
+  allowedAlgorithms, maxClockSkew = 300, maxTokenAge = 600
+} = {}) {
+  if(!(idToken && typeof idToken === 'string')) {
+    throw new TypeError('"idToken" must be a string.');
+  }
+  if(!(clientId && typeof clientId === 'string')) {
+    throw new TypeError('"clientId" must be a string.');
+  }
+  if(!(maxAge === undefined || Number.isInteger(maxAge))) {
+    throw new TypeError('"maxAge" must be an integer.');
+  }
+
+  // discover issuer oauth2 / OpenID Connect provider config
+  const {issuer, jwks} = await discoverIssuer({issuerConfigUrl});
+
+  let payload;
+  let protectedHeader;
+  try {
+    // `jwtVerify` checks claims: `iss`, `aud`, `exp`, `nbf`, `iat`
+    ({payload, protectedHeader} = await jwtVerify(idToken, jwks, {
+      algorithms: allowedAlgorithms,
+      audience: clientId,
+      clockTolerance: maxClockSkew,
+      issuer,
+      maxTokenAge,
+      requiredClaims: ['iss', 'sub', 'aud', 'exp', 'iat']
+    }));
+  } catch(e) {
+    _throwIdTokenError({code: e.code, reason: e.message, claim: e.claim});
+  }
+
+  // `azp` is required with multiple audiences and must match `clientId`
+  const multipleAudiences = Array.isArray(payload.aud) &&
+    payload.aud.length > 1;
+  if((multipleAudiences || payload.azp !== undefined) &&
+    payload.azp !== clientId) {
+    _throwIdTokenError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'unexpected "azp" claim value',
+      claim: 'azp'
+    });
+  }
+  if(nonce !== undefined && payload.nonce !== nonce) {
+    _throwIdTokenError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'unexpected "nonce" claim value',
+      claim: 'nonce'
+    });
+  }
+  if(maxAge !== undefined) {
+    const now = Math.floor(Date.now() / 1000);
+    if(typeof payload.auth_time !== 'number') {
+      _throwIdTokenError({
+        code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+        reason: 'missing required "auth_time" claim',
+        claim: 'auth_time'
+      });
+    }
+    if(payload.auth_time + maxAge < now - maxClockSkew) {
+      _throwIdTokenError({
+        code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+        reason: '"auth_time" claim timestamp check failed',
+        claim: 'auth_time'
+      });
+    }
+  }
+  if(accessToken !== undefined && payload.at_hash !== undefined &&
+    payload.at_hash !== _leftHalfHash({
+      value: accessToken, alg: protectedHeader.alg
+    })) {
+    _throwIdTokenError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: '"at_hash" claim does not match the access token',
+      claim: 'at_hash'
+    });
+  }
+  if(code !== undefined && payload.c_hash !== undefined &&
+    payload.c_hash !== _leftHalfHash({value: code, alg: protectedHeader.alg})) {
+    _throwIdTokenError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: '"c_hash" claim does not match the authorization code',
+      claim: 'c_hash'
+    });
+  }
+
+  return {payload, protectedHeader};
+}
+
+// computes `at_hash` / `c_hash` values; returns `undefined` if the hash
+// algorithm for `alg` is unknown so that no value will match
+function _leftHalfHash({value, alg}) {
+  const hashAlgorithm = HASH_ALGORITHM_FOR_JWS_ALGORITHM.get(alg);
+  if(!hashAlgorithm) {
+    return;
+  }
+  const digest = createHash(hashAlgorithm).update(value).digest();
+  return base64url.encode(digest.subarray(0, digest.length / 2));
+}
+
+function _throwIdTokenError({code, reason, claim}) {
+  throw createNotAllowedError({
+    message: 'ID token validation failed.', code, reason, claim
+  });
+}
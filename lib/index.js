@@ -1,10 +1,39 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 // load config defaults
 import './config.js';
 
 export * from './accessToken.js';
+export {
+  _resetAuthorizationDetailsTypes,
+  registerAuthorizationDetailsType
+} from './authorizationDetails.js';
 export * from './basicAuthorization.js';
+export * from './canonicalization.js';
+export * from './challenges.js';
+export * from './clientCredentials.js';
+export * from './delegation.js';
 export * from './discovery.js';
-export * from './targetScopedAccessToken.js';
+export * from './dpop.js';
+export * from './encryptedAccessToken.js';
+export * from './idToken.js';
+export * from './introspection.js';
+export * from './middleware.js';
+export * from './mtls.js';
+export {_resetStats, getStats} from './observability.js';
+export {compilePolicy, explainPolicy} from './policy.js';
+export {
+  addProtectedResourceMetadataRoutes,
+  getProtectedResourceMetadata,
+  getProtectedResourceMetadataUrl
+} from './protectedResource.js';
+export * from './revocation.js';
+export {
+  authorizeTargetScopedRequest,
+  checkAuthorizationDetails,
+  checkTargetScopedAccessToken
+} from './targetScopedAccessToken.js';
+export {getAccessTokenFromRequest} from './tokenSources.js';
+export * from './trustedIssuers.js';
+export * from './userAuthentication.js';
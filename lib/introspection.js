@@ -0,0 +1,202 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {httpsAgent as agent} from '@bedrock/https-agent';
+import {createHash} from 'node:crypto';
+import {createNotAllowedError} from './helpers.js';
+import {discoverIssuer} from './discovery.js';
+import {httpClient} from '@digitalbazaar/http-client';
+import {LruCache} from '@digitalbazaar/lru-memoize';
+
+const {util: {BedrockError}} = bedrock;
+
+let INTROSPECTION_CACHE;
+
+bedrock.events.on('bedrock.init', async () => {
+  _createIntrospectionCache();
+});
+
+/**
+ * Checks an OAuth2 access token, which may be opaque, using the
+ * `introspection_endpoint` from the trusted issuer's config (RFC 7662). The
+ * token must be `active` and the only claims checked will be: `iss`, `aud`,
+ * `exp`, `nbf`. Scopes must be checked externally.
+ *
+ * Introspection results are cached per token until the earlier of the
+ * token's `exp` and the configured cache TTL.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc7662 .
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.token - The access token.
+ * @param {string} options.issuerConfigUrl - The URL for the config (meta data)
+ *   for the trusted issuer.
+ * @param {string} options.audience - A string that represents the expected
+ *   (and allowed) `audience` claim for the token.
+ * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
+ *   in seconds (when verifying time-based claims).
+ * @param {object} [options.clientCredentials] - The `clientId` and
+ *   `clientSecret` to authenticate to the introspection endpoint with;
+ *   defaults to the credentials configured for `issuerConfigUrl`.
+ *
+ * @returns {Promise<object>} An object with the introspected claims in
+ *   `payload`.
+ */
+export async function introspectAccessToken({
+  token, issuerConfigUrl, audience, maxClockSkew = 300, clientCredentials
+} = {}) {
+  if(!(token && typeof token === 'string')) {
+    throw new TypeError('"token" must be a string.');
+  }
+  if(!(audience && typeof audience === 'string')) {
+    throw new TypeError('"audience" must be a string.');
+  }
+  if(clientCredentials === undefined) {
+    const {introspection} = bedrock.config['oauth2-verifier'];
+    clientCredentials = introspection.clientCredentials[issuerConfigUrl];
+  }
+  if(!(typeof clientCredentials?.clientId === 'string' &&
+    typeof clientCredentials?.clientSecret === 'string')) {
+    throw new TypeError(
+      '"clientCredentials" must include "clientId" and "clientSecret".');
+  }
+
+  // discover issuer oauth2 authz server config
+  const {issuer, config} = await discoverIssuer({issuerConfigUrl});
+
+  // tokens are never used as cache keys directly
+  const tokenHash = createHash('sha256').update(token).digest('base64url');
+  const key = `${issuerConfigUrl}:${clientCredentials.clientId}:${tokenHash}`;
+  const fn = () => _getUncachedIntrospection({
+    key, token, config, clientCredentials
+  });
+  const response = await INTROSPECTION_CACHE.memoize({key, fn});
+
+  // check token status and claims
+  const {active, ...payload} = response;
+  if(active !== true) {
+    throw createNotAllowedError({
+      code: 'ERR_TOKEN_INACTIVE',
+      reason: 'Access token is not active.'
+    });
+  }
+  if(payload.iss !== undefined && payload.iss !== issuer) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'unexpected "iss" claim value',
+      claim: 'iss'
+    });
+  }
+  const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  if(!aud.includes(audience)) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'unexpected "aud" claim value',
+      claim: 'aud'
+    });
+  }
+  const now = Math.floor(Date.now() / 1000);
+  if(typeof payload.exp === 'number' && payload.exp <= now - maxClockSkew) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_EXPIRED',
+      reason: '"exp" claim timestamp check failed',
+      claim: 'exp'
+    });
+  }
+  if(typeof payload.nbf === 'number' && payload.nbf > now + maxClockSkew) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: '"nbf" claim timestamp check failed',
+      claim: 'nbf'
+    });
+  }
+
+  return {payload};
+}
+
+// exposed for testing purposes only
+export function _resetIntrospectionCache() {
+  _createIntrospectionCache();
+}
+
+function _createIntrospectionCache() {
+  const {introspection: {cache}} = bedrock.config['oauth2-verifier'];
+  INTROSPECTION_CACHE = new LruCache(cache);
+}
+
+async function _getUncachedIntrospection({
+  key, token, config, clientCredentials
+}) {
+  const {introspection_endpoint: url} = config;
+  if(!(typeof url === 'string' && url.startsWith('https://'))) {
+    throw new BedrockError(
+      'Invalid OAuth2 issuer configuration; "introspection_endpoint" is not ' +
+      'an HTTPS URL.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+
+  // authenticate via `client_secret_basic` (RFC 6749 Section 2.3.1)
+  const {clientId, clientSecret} = clientCredentials;
+  const basic = Buffer.from(
+    `${_formEncode(clientId)}:${_formEncode(clientSecret)}`)
+    .toString('base64');
+
+  // ensure introspection request has both timeout and size limits
+  const {introspection} = bedrock.config['oauth2-verifier'];
+  let response;
+  try {
+    response = await httpClient.post(url, {
+      ...introspection.fetchOptions,
+      agent,
+      headers: {accept: 'application/json', authorization: `Basic ${basic}`},
+      body: new URLSearchParams({token, token_type_hint: 'access_token'})
+    });
+  } catch(cause) {
+    throw new BedrockError(
+      'OAuth2 token introspection request failed.', {
+        name: 'OperationError',
+        cause,
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+  if(!(response.data && typeof response.data.active === 'boolean')) {
+    throw new BedrockError(
+      'Invalid OAuth2 token introspection response.', {
+        name: 'OperationError',
+        details: {
+          httpStatusCode: 500,
+          public: true
+        }
+      });
+  }
+
+  // only cache active tokens and only until they expire
+  const {data} = response;
+  const current = INTROSPECTION_CACHE.cache.peek(key);
+  if(current) {
+    const ttl = typeof data.exp === 'number' ?
+      Math.min(INTROSPECTION_CACHE.cache.ttl, data.exp * 1000 - Date.now()) :
+      INTROSPECTION_CACHE.cache.ttl;
+    if(data.active && ttl > 0) {
+      INTROSPECTION_CACHE.cache.set(key, current, {ttl});
+    } else {
+      INTROSPECTION_CACHE.delete(key);
+    }
+  }
+
+  return data;
+}
+
+// `application/x-www-form-urlencoded` encoding used for client credentials
+function _formEncode(value) {
+  return encodeURIComponent(value).replace(/%20/g, '+');
+}
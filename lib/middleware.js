@@ -0,0 +1,149 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {_checkTargetScopedAccessToken} from './targetScopedAccessToken.js';
+import {checkAccessToken} from './accessToken.js';
+import {getAccessTokenFromRequest} from './tokenSources.js';
+import {setBearerChallenge} from './challenges.js';
+
+const {util: {BedrockError}} = bedrock;
+
+/**
+ * Creates an express middleware function that checks the OAuth2 access token
+ * sent with a request before the route handler runs.
+ *
+ * If `getExpectedValues` is given, the access token is checked using
+ * `checkTargetScopedAccessToken()`; otherwise, only its audience (and other
+ * standard claims) are checked using `checkAccessToken()`.
+ *
+ * On success, `req.oauth2` is set to an object with the verified `payload`,
+ * `protectedHeader`, delegation `actorChain` (RFC 8693), `tokenSource` (see
+ * `getAccessTokenFromRequest()`), and, when target scoped, the
+ * `authorizationDetail` (RFC 9396) or `scope` that matched. On failure, the
+ * error is passed to `next()` so that it will be rendered by the express
+ * error handler (e.g., as set up by `@bedrock/express`); if the access token
+ * check failed, an RFC 6750 `WWW-Authenticate` challenge is set on the
+ * response and the error's `httpStatusCode` (400, 401, or 403) and
+ * `challenge` details are set accordingly; see `getBearerChallenge()`.
+ *
+ * @param {object} options - The options to use; any options not listed
+ *   here are passed to `checkTargetScopedAccessToken()` or
+ *   `checkAccessToken()`, e.g., `allowedAlgorithms`, `typ`, or `dpop`.
+ * @param {string} [options.issuerConfigUrl] - The URL for the config (meta
+ *   data) for the trusted issuer; if not given, the issuer is selected from
+ *   the trusted issuer registry; see `checkAccessToken()`.
+ * @param {Function} [options.getExpectedValues] - A function that returns
+ *   an object (or a promise that resolves to such an object) that includes
+ *   the expected values as described in `checkTargetScopedAccessToken()`;
+ *   this or "audience" must be given.
+ * @param {string} [options.audience] - A string that represents the expected
+ *   (and allowed) `audience` claim for the access token; this must be given
+ *   if "getExpectedValues" is not.
+ * @param {boolean} [options.optional=false] - Set to `true` to allow requests
+ *   without an "Authorization" header or an access token in any other
+ *   allowed token source to pass through (anonymously) without setting
+ *   `req.oauth2`; a request that includes an invalid access token is still
+ *   rejected. Requests to public routes per any "policy" (see
+ *   `checkTargetScopedAccessToken()`) also do not set `req.oauth2`.
+ * @param {string} [options.realm] - The `realm` to include in challenges;
+ *   see `getBearerChallenge()`.
+ * @param {string} [options.resourceMetadata] - The `resource_metadata` URL
+ *   (RFC 9728) to include in challenges; see `getBearerChallenge()`.
+ *
+ * @returns {Function} The middleware function.
+ */
+export function createOAuth2Middleware({
+  issuerConfigUrl, getExpectedValues, audience, optional = false, realm,
+  resourceMetadata, ...options
+} = {}) {
+  if(!(issuerConfigUrl === undefined ||
+    (issuerConfigUrl && typeof issuerConfigUrl === 'string'))) {
+    throw new TypeError('"issuerConfigUrl" must be a string.');
+  }
+  if(getExpectedValues !== undefined &&
+    typeof getExpectedValues !== 'function') {
+    throw new TypeError('"getExpectedValues" must be a function.');
+  }
+  if(!(audience === undefined ||
+    (audience && typeof audience === 'string'))) {
+    throw new TypeError('"audience" must be a string.');
+  }
+  // without an issuer config URL, the audience may come from the trusted
+  // issuer registry
+  if(!(getExpectedValues || audience || issuerConfigUrl === undefined)) {
+    throw new TypeError(
+      'Either "getExpectedValues" or "audience" string must be given.');
+  }
+
+  return function checkOAuth2AccessToken(req, res, next) {
+    _check({req}).then(() => next(), error => {
+      next(_addChallenge({req, res, error}));
+    });
+  };
+
+  function _addChallenge({req, res, error}) {
+    const challenge = setBearerChallenge({
+      req, res, error, realm, resourceMetadata
+    });
+    if(!challenge) {
+      return error;
+    }
+    return new BedrockError(error.message, {
+      name: error.name,
+      details: {
+        ...error.details,
+        httpStatusCode: challenge.httpStatusCode,
+        challenge: challenge.params
+      }
+    });
+  }
+
+  function _isAnonymous({req}) {
+    if(req.get('authorization')) {
+      return false;
+    }
+    try {
+      getAccessTokenFromRequest({
+        req, sources: options.tokenSources, dpop: options.dpop
+      });
+      return false;
+    } catch(e) {
+      if(e.details?.code === 'ERR_ACCESS_TOKEN_MISSING') {
+        return true;
+      }
+      throw e;
+    }
+  }
+
+  async function _check({req}) {
+    if(optional && _isAnonymous({req})) {
+      return;
+    }
+
+    if(getExpectedValues) {
+      const {
+        public: isPublic, payload, protectedHeader, actorChain, tokenSource,
+        authorizationDetail, scope
+      } = await _checkTargetScopedAccessToken({
+        ...options, req, issuerConfigUrl, getExpectedValues, audience
+      });
+      if(isPublic) {
+        // public route per policy
+        return;
+      }
+      req.oauth2 = {payload, protectedHeader, actorChain, tokenSource};
+      if(authorizationDetail) {
+        req.oauth2.authorizationDetail = authorizationDetail;
+      } else {
+        req.oauth2.scope = scope;
+      }
+      return;
+    }
+
+    const {
+      payload, protectedHeader, actorChain, tokenSource
+    } = await checkAccessToken({...options, req, issuerConfigUrl, audience});
+    req.oauth2 = {payload, protectedHeader, actorChain, tokenSource};
+  }
+}
@@ -0,0 +1,83 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createHash, X509Certificate} from 'node:crypto';
+import {base64url} from 'jose';
+import {createNotAllowedError} from './helpers.js';
+
+/**
+ * Checks that the given (already verified) access token payload is bound to
+ * the client certificate used with the given HTTP request (RFC 8705). The
+ * SHA-256 thumbprint of the certificate must equal the token's
+ * `cnf["x5t#S256"]` claim. The certificate is read from the configured
+ * trusted proxy header or, if none is configured, from the request's TLS
+ * socket.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc8705#section-3 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.req - The HTTP request interface, providing a
+ *   `get()` function to access headers and the TLS `socket`.
+ * @param {object} options.payload - The verified access token payload.
+ * @param {boolean} [options.required=false] - Set to `true` to reject
+ *   access tokens that are not certificate-bound.
+ *
+ * @returns {object} An object with the matched certificate thumbprint
+ *   `x5t#S256`, which is `undefined` if the token is not certificate-bound.
+ */
+export function checkCertificateBinding({req, payload, required = false} = {}) {
+  const expected = payload.cnf?.['x5t#S256'];
+  if(expected === undefined) {
+    if(required) {
+      throw createNotAllowedError({
+        code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+        reason: 'Access token is not bound to a client certificate.',
+        claim: 'cnf'
+      });
+    }
+    return {'x5t#S256': undefined};
+  }
+
+  const certificate = _getClientCertificate({req});
+  if(!certificate) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'Client certificate not provided or invalid.',
+      claim: 'cnf'
+    });
+  }
+  const thumbprint = base64url.encode(
+    createHash('sha256').update(certificate).digest());
+  if(thumbprint !== expected) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'Access token is not bound to the client certificate.',
+      claim: 'cnf'
+    });
+  }
+  return {'x5t#S256': thumbprint};
+}
+
+// returns the client certificate as DER or `undefined`
+function _getClientCertificate({req}) {
+  const {mtls: {clientCertificateHeader}} = bedrock.config['oauth2-verifier'];
+  if(!clientCertificateHeader) {
+    // an empty object is returned when no certificate was sent
+    const raw = req.socket?.getPeerCertificate?.()?.raw;
+    return Buffer.isBuffer(raw) ? raw : undefined;
+  }
+
+  const value = req.get(clientCertificateHeader)?.trim();
+  if(!value) {
+    return;
+  }
+  try {
+    // RFC 9440 `Client-Cert` byte sequence or (URL-encoded) PEM
+    const input = value.startsWith(':') && value.endsWith(':') ?
+      Buffer.from(value.slice(1, -1), 'base64') : decodeURIComponent(value);
+    return new X509Certificate(input).raw;
+  } catch(e) {
+    return;
+  }
+}
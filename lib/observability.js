@@ -0,0 +1,146 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {logger} from './logger.js';
+
+const EVENT_PREFIX = 'bedrock-oauth2-verifier';
+
+let STATS = _createStats();
+
+/**
+ * Gets a snapshot of the in-process counters for issuer config discovery
+ * and access token checks, e.g., for export to a metrics system. Counters
+ * are cumulative since the process started.
+ *
+ * The same activity is also emitted as `bedrock.events` (which never include
+ * tokens or secrets):
+ *
+ * - `bedrock-oauth2-verifier.issuerConfig.cacheHit`: `{issuerConfigUrl,
+ *   stale}`.
+ * - `bedrock-oauth2-verifier.issuerConfig.cacheMiss`: `{issuerConfigUrl}`.
+ * - `bedrock-oauth2-verifier.issuerConfig.fetch`: `{issuerConfigUrl,
+ *   trigger, duration}`, where `trigger` is one of `miss`, `expired`,
+ *   `refresh`, or `rotation`.
+ * - `bedrock-oauth2-verifier.issuerConfig.fetchError`: `{issuerConfigUrl,
+ *   trigger, duration, error}`.
+ * - `bedrock-oauth2-verifier.accessToken.check`: `{outcome,
+ *   issuerConfigUrl, issuer, audience, code, claim, duration}`, where
+ *   `outcome` is `success` or `failure`.
+ *
+ * Durations are in milliseconds.
+ *
+ * @returns {object} An object with `issuerConfig` and `accessToken`
+ *   counters.
+ */
+export function getStats() {
+  return structuredClone(STATS);
+}
+
+// exposed for testing purposes only
+export function _resetStats() {
+  STATS = _createStats();
+}
+
+export function _recordIssuerConfigCacheHit({issuerConfigUrl, stale}) {
+  STATS.issuerConfig[stale ? 'staleHits' : 'cacheHits']++;
+  _emit({name: 'issuerConfig.cacheHit', data: {issuerConfigUrl, stale}});
+}
+
+export function _recordIssuerConfigCacheMiss({issuerConfigUrl}) {
+  STATS.issuerConfig.cacheMisses++;
+  _emit({name: 'issuerConfig.cacheMiss', data: {issuerConfigUrl}});
+}
+
+export function _recordIssuerConfigFetch({
+  issuerConfigUrl, trigger, duration, error
+}) {
+  const {issuerConfig: stats} = STATS;
+  const data = {issuerConfigUrl, trigger, duration};
+  if(!error) {
+    stats.fetches++;
+    if(trigger === 'rotation') {
+      stats.rotations++;
+    }
+    _emit({name: 'issuerConfig.fetch', data});
+    return;
+  }
+
+  stats.fetchFailures++;
+  if(trigger === 'rotation') {
+    // a failed rotation is not seen by any caller so it is also logged
+    stats.rotationFailures++;
+    logger.warning('OAuth2 issuer config rotation failed.', {
+      issuerConfigUrl, error
+    });
+  }
+  _emit({
+    name: 'issuerConfig.fetchError',
+    data: {...data, error: _redactError(error)}
+  });
+}
+
+export function _recordAccessTokenCheck({
+  issuerConfigUrl, issuer, audience, duration, error
+}) {
+  const {accessToken: stats} = STATS;
+  stats.checks++;
+  stats.totalDuration += duration;
+  const data = {issuerConfigUrl, issuer, audience, duration};
+  if(!error) {
+    stats.successes++;
+    _emit({name: 'accessToken.check', data: {outcome: 'success', ...data}});
+    return;
+  }
+
+  const code = error.details?.code ?? error.name;
+  stats.failures++;
+  stats.failureCodes[code] = (stats.failureCodes[code] ?? 0) + 1;
+  _emit({
+    name: 'accessToken.check',
+    data: {
+      outcome: 'failure', ...data, code, claim: error.details?.claim
+    }
+  });
+}
+
+function _createStats() {
+  return {
+    issuerConfig: {
+      cacheHits: 0,
+      cacheMisses: 0,
+      staleHits: 0,
+      fetches: 0,
+      fetchFailures: 0,
+      rotations: 0,
+      rotationFailures: 0
+    },
+    accessToken: {
+      checks: 0,
+      successes: 0,
+      failures: 0,
+      // failures by error code
+      failureCodes: {},
+      // total duration of all checks in milliseconds
+      totalDuration: 0
+    }
+  };
+}
+
+// events are emitted without waiting for listeners so that observers never
+// slow down or break verification
+function _emit({name, data}) {
+  const event = `${EVENT_PREFIX}.${name}`;
+  bedrock.events.emit(event, data).catch(error => {
+    logger.error(`Error in "${event}" event listener.`, {error});
+  });
+}
+
+// only the non-sensitive parts of an error are included in events
+function _redactError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    status: error.status ?? error.details?.httpStatusCode
+  };
+}
@@ -0,0 +1,280 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {canonicalizeTarget} from './canonicalization.js';
+import {findMatchingScope} from './helpers.js';
+
+// note: these default actions match ezcap-express
+// https://github.com/digitalbazaar/ezcap-express
+const DEFAULT_ACTION_FOR_METHOD = new Map([
+  ['GET', 'read'],
+  ['HEAD', 'read'],
+  ['OPTIONS', 'read'],
+  ['POST', 'write'],
+  ['PUT', 'write'],
+  ['PATCH', 'write'],
+  ['DELETE', 'write'],
+  ['CONNECT', 'write'],
+  ['TRACE', 'write'],
+  ['PATCH', 'write']
+]);
+const RULE_PROPERTIES = new Set([
+  'path', 'methods', 'public', 'scopes', 'actions', 'audience'
+]);
+
+// compiled policies and the policy objects they were compiled from
+const COMPILED_POLICIES = new WeakSet();
+const POLICY_CACHE = new WeakMap();
+
+/**
+ * Compiles a declarative route-to-scope policy into a matcher that can be
+ * given as the "policy" option to `checkTargetScopedAccessToken()` (or set
+ * as the `policy` config) and to `explainPolicy()`.
+ *
+ * A policy is an object (or its JSON string) with an ordered array of
+ * `rules`; the first rule with a `path` pattern and `methods` that match a
+ * request applies to it and requests that no rule matches are rejected. The
+ * path of a request is its target relative to the root invocation target
+ * (without any query). Each rule may include:
+ *
+ * `path` (required string): The path pattern, where a `*` segment matches
+ *   any one path segment and a `**` segment matches any number of path
+ *   segments (including none), e.g., `/admin/**`.
+ * `methods` (optional array of strings): The HTTP methods the rule applies
+ *   to; defaults to all methods.
+ * `public` (optional boolean): Set to `true` to allow requests without
+ *   checking any access token.
+ * `scopes` (optional array of strings): The access token must have a scope
+ *   that grants any one of these `<action>:<target>` values (matched like
+ *   request targets, e.g., a scope of `read:/` grants `read:/reports`);
+ *   if not given, the scope must grant the expected action and target.
+ * `actions` (optional object): The expected action for each HTTP method on
+ *   the route (e.g., `{PROPFIND: 'read', MKCOL: 'write'}`), taking
+ *   precedence over the default actions.
+ * `audience` (optional string): The required access token audience for the
+ *   route.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|string} options.policy - The policy or its JSON string.
+ *
+ * @returns {object} The compiled policy.
+ */
+export function compilePolicy({policy} = {}) {
+  if(typeof policy === 'string') {
+    policy = JSON.parse(policy);
+  }
+  if(COMPILED_POLICIES.has(policy)) {
+    return policy;
+  }
+  if(!(policy && typeof policy === 'object' && Array.isArray(policy.rules))) {
+    throw new TypeError('"policy" must be an object with a "rules" array.');
+  }
+  const compiled = Object.freeze({
+    rules: Object.freeze(policy.rules.map(
+      (rule, index) => _compileRule({rule, index})))
+  });
+  COMPILED_POLICIES.add(compiled);
+  return compiled;
+}
+
+/**
+ * Explains which rule of a policy applies to a request without checking any
+ * access token (a "dry run"), e.g., to debug or audit a policy.
+ *
+ * @param {object} options - The options to use.
+ * @param {object|string} [options.policy] - The policy (compiled or not) or
+ *   its JSON string; defaults to the `policy` config value.
+ * @param {string} options.method - The HTTP method.
+ * @param {string} options.path - The request path relative to the root
+ *   invocation target; it is canonicalized as a request target (see
+ *   `canonicalizeTarget()` with `strictPath`) and any query is ignored.
+ * @param {string} [options.scope] - A space-delimited access token scope to
+ *   check against the rule.
+ * @param {boolean} [options.unorderedQuery] - Whether scope targets with
+ *   queries match in any order; defaults to the
+ *   `scopeMatching.unorderedQuery` config value.
+ *
+ * @returns {object} An object with `matched` set to whether a rule applies
+ *   and, if one does, its `ruleIndex` and `rule`, whether it is `public`,
+ *   the expected `action`, the `requiredScopes` (any one of which is
+ *   required), and any `audience`; if a "scope" was given, `allowed` is set
+ *   to whether it would be allowed and `grantedBy` to the scope value that
+ *   would grant access, if any.
+ */
+export function explainPolicy({
+  policy = bedrock.config['oauth2-verifier'].policy, method, path, scope,
+  unorderedQuery = bedrock.config['oauth2-verifier'].scopeMatching
+    .unorderedQuery
+} = {}) {
+  if(!(typeof method === 'string' && typeof path === 'string')) {
+    throw new TypeError('"method" and "path" must be strings.');
+  }
+  path = _stripQuery({
+    path: canonicalizeTarget({target: path, strictPath: true})
+  });
+  const match = _findMatchingPolicyRule({policy, method, path});
+  if(!match) {
+    const result = {matched: false};
+    if(scope !== undefined) {
+      result.allowed = false;
+    }
+    return result;
+  }
+
+  const {rule, index: ruleIndex} = match;
+  const result = {
+    matched: true, ruleIndex, rule, public: rule.public === true
+  };
+  if(result.public) {
+    if(scope !== undefined) {
+      result.allowed = true;
+    }
+    return result;
+  }
+  result.action = _getPolicyAction({rule, method});
+  result.requiredScopes = rule.scopes ??
+    (result.action === undefined ? [] : [`${result.action}:${path}`]);
+  if(rule.audience !== undefined) {
+    result.audience = rule.audience;
+  }
+  if(scope !== undefined) {
+    const grant = _findPolicyScopeGrant({
+      scopes: scope.split(' '), requiredScopes: result.requiredScopes,
+      unorderedQuery
+    });
+    result.allowed = grant !== undefined;
+    if(grant) {
+      result.grantedBy = grant.scope;
+    }
+  }
+  return result;
+}
+
+// returns the first compiled rule (and its index) that matches the given
+// method and path (relative to the root invocation target, without query)
+export function _findMatchingPolicyRule({policy, method, path}) {
+  const {rules} = _getCompiledPolicy({policy});
+  method = method.toUpperCase();
+  for(const {rule, index, methods, regex} of rules) {
+    if((!methods || methods.has(method)) && regex.test(path)) {
+      return {rule, index};
+    }
+  }
+}
+
+// finds the first scope value that grants any one of the required scopes
+export function _findPolicyScopeGrant({
+  scopes, requiredScopes, unorderedQuery
+}) {
+  for(const requiredScope of requiredScopes) {
+    const separator = requiredScope.indexOf(':');
+    const grant = findMatchingScope({
+      scopes,
+      action: requiredScope.slice(0, separator),
+      path: canonicalizeTarget({target: requiredScope.slice(separator + 1)}),
+      unorderedQuery
+    });
+    if(grant) {
+      return {...grant, requiredScope};
+    }
+  }
+}
+
+// gets the expected action for a method, using any rule-specific actions
+export function _getPolicyAction({rule, method}) {
+  return rule?.actions?.[method] ?? DEFAULT_ACTION_FOR_METHOD.get(method);
+}
+
+// returns the path without any query or fragment
+export function _stripQuery({path}) {
+  return path.split(/[?#]/, 1)[0];
+}
+
+function _compileRule({rule, index}) {
+  const prefix = `Policy rule ${index}`;
+  if(!(rule && typeof rule === 'object')) {
+    throw new TypeError(`${prefix} must be an object.`);
+  }
+  for(const property in rule) {
+    if(!RULE_PROPERTIES.has(property)) {
+      throw new TypeError(`${prefix} has unknown property "${property}".`);
+    }
+  }
+  const {path, methods, scopes, actions, audience} = rule;
+  if(!(typeof path === 'string' && path.startsWith('/'))) {
+    throw new TypeError(`${prefix} "path" must be a string that starts ` +
+      'with "/".');
+  }
+  if(!(methods === undefined || (Array.isArray(methods) &&
+    methods.every(method => method && typeof method === 'string')))) {
+    throw new TypeError(`${prefix} "methods" must be an array of strings.`);
+  }
+  if(!(rule.public === undefined || typeof rule.public === 'boolean')) {
+    throw new TypeError(`${prefix} "public" must be a boolean.`);
+  }
+  if(!(scopes === undefined || (Array.isArray(scopes) && scopes.length > 0 &&
+    scopes.every(scope => _isValidRuleScope({scope}))))) {
+    throw new TypeError(`${prefix} "scopes" must be a non-empty array of ` +
+      '"<action>:<target>" strings with canonicalizable targets.');
+  }
+  if(!(actions === undefined || (actions && typeof actions === 'object' &&
+    Object.values(actions).every(action => typeof action === 'string')))) {
+    throw new TypeError(`${prefix} "actions" must be an object with string ` +
+      'values.');
+  }
+  if(!(audience === undefined || (audience && typeof audience === 'string'))) {
+    throw new TypeError(`${prefix} "audience" must be a string.`);
+  }
+  return {
+    rule: structuredClone(rule),
+    index,
+    methods: methods && new Set(methods.map(method => method.toUpperCase())),
+    regex: _compilePathPattern({path})
+  };
+}
+
+function _isValidRuleScope({scope}) {
+  if(!(typeof scope === 'string' && /^[^:\s]+:\/\S*$/.test(scope))) {
+    return false;
+  }
+  try {
+    canonicalizeTarget({target: scope.slice(scope.indexOf(':') + 1)});
+    return true;
+  } catch(e) {
+    return false;
+  }
+}
+
+function _compilePathPattern({path}) {
+  const segments = path.slice(1).split('/');
+  let pattern = '';
+  for(const segment of segments) {
+    if(segment === '**') {
+      // any number of segments, including none
+      pattern += '(?:/[^/]*)*';
+    } else if(segment === '*') {
+      pattern += '/[^/]+';
+    } else {
+      pattern += '/' + segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}/?$`);
+}
+
+function _getCompiledPolicy({policy}) {
+  if(COMPILED_POLICIES.has(policy)) {
+    return policy;
+  }
+  // policies given as objects (e.g., via config) are compiled once; a policy
+  // that is changed must be replaced with a new object
+  if(policy && typeof policy === 'object') {
+    let compiled = POLICY_CACHE.get(policy);
+    if(!compiled) {
+      compiled = compilePolicy({policy});
+      POLICY_CACHE.set(policy, compiled);
+    }
+    return compiled;
+  }
+  return compilePolicy({policy});
+}
@@ -0,0 +1,147 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {isWithinPrefix} from './helpers.js';
+
+const {util: {BedrockError}} = bedrock;
+
+const WELL_KNOWN_PATH = '/.well-known/oauth-protected-resource';
+const WELL_KNOWN_ROUTE_REGEX =
+  /^\/\.well-known\/oauth-protected-resource(\/.*)?$/;
+
+/**
+ * Adds routes that serve the OAuth 2.0 Protected Resource Metadata (RFC
+ * 9728) for each resource in the `protectedResources` config at its
+ * well-known URL (see `getProtectedResourceMetadataUrl()`). This is
+ * typically called from a `bedrock-express.configure.routes` event handler.
+ * The config is read per request so that resources may be changed at any
+ * time.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc9728#section-3 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.app - The express app.
+ */
+export function addProtectedResourceMetadataRoutes({app} = {}) {
+  app.get(WELL_KNOWN_ROUTE_REGEX, (req, res, next) => {
+    const resource = _findResourceByWellKnownPath({
+      path: req.path, host: req.get('host')
+    });
+    if(!resource) {
+      return next(new BedrockError('Protected resource not found.', {
+        name: 'NotFoundError',
+        details: {
+          httpStatusCode: 404,
+          public: true
+        }
+      }));
+    }
+    res.json(getProtectedResourceMetadata({resource}));
+  });
+}
+
+/**
+ * Gets the OAuth 2.0 Protected Resource Metadata (RFC 9728) for a resource
+ * in the `protectedResources` config.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.resource - The resource identifier.
+ *
+ * @returns {object} The metadata.
+ */
+export function getProtectedResourceMetadata({resource} = {}) {
+  const cfg = bedrock.config['oauth2-verifier'];
+  const {protectedResources} = cfg;
+  if(!(typeof resource === 'string' &&
+    Object.hasOwn(protectedResources, resource))) {
+    throw new TypeError(
+      '"resource" must be a resource in the "protectedResources" config.');
+  }
+  const {
+    authorizationServers = Object.keys(cfg.trustedIssuers),
+    scopes,
+    bearerMethods = _getBearerMethods({sources: cfg.tokenSources}),
+    dpop,
+    mtls,
+    metadata
+  } = protectedResources[resource];
+
+  const result = {resource};
+  if(authorizationServers.length > 0) {
+    result.authorization_servers = authorizationServers;
+  }
+  if(scopes !== undefined) {
+    result.scopes_supported = scopes;
+  }
+  result.bearer_methods_supported = bearerMethods;
+  if(dpop) {
+    result.dpop_signing_alg_values_supported = cfg.dpop.allowedAlgorithms;
+    result.dpop_bound_access_tokens_required = dpop === 'required';
+  }
+  if(mtls) {
+    result.tls_client_certificate_bound_access_tokens = true;
+  }
+  return {...metadata, ...result};
+}
+
+/**
+ * Gets the well-known URL for the OAuth 2.0 Protected Resource Metadata
+ * (RFC 9728) of a resource, i.e., `/.well-known/oauth-protected-resource`
+ * inserted between the resource identifier's origin and its path.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.resource - The resource identifier.
+ *
+ * @returns {string} The URL.
+ */
+export function getProtectedResourceMetadataUrl({resource} = {}) {
+  const {origin, pathname} = new URL(resource);
+  return `${origin}${WELL_KNOWN_PATH}${pathname === '/' ? '' : pathname}`;
+}
+
+// finds the configured resource (with the longest identifier) that the
+// given request URL is within, if any
+export function _findProtectedResource({url}) {
+  const {protectedResources} = bedrock.config['oauth2-verifier'];
+  let match;
+  for(const resource in protectedResources) {
+    if(isWithinPrefix({prefix: resource.replace(/\/$/, ''), value: url}) &&
+      !(match?.length > resource.length)) {
+      match = resource;
+    }
+  }
+  return match;
+}
+
+// gets the RFC 9728 bearer methods for the given token sources; cookies
+// have no registered bearer method
+function _getBearerMethods({sources}) {
+  return sources.filter(source => typeof source === 'string');
+}
+
+// finds the configured resource for a well-known path on the given request
+// host; a resource on another host never matches as its metadata would be
+// rejected by clients (RFC 9728 section 3.3)
+function _findResourceByWellKnownPath({path, host}) {
+  const {protectedResources} = bedrock.config['oauth2-verifier'];
+  for(const resource in protectedResources) {
+    const url = new URL(getProtectedResourceMetadataUrl({resource}));
+    if(url.pathname === path &&
+      url.host === _normalizeHost({protocol: url.protocol, host})) {
+      return resource;
+    }
+  }
+}
+
+// normalizes a `Host` header value (case and default port) for comparison
+function _normalizeHost({protocol, host}) {
+  if(typeof host !== 'string') {
+    return undefined;
+  }
+  try {
+    return new URL(`${protocol}//${host}`).host;
+  } catch(e) {
+    return undefined;
+  }
+}
@@ -0,0 +1,191 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createNotAllowedError, createReplayCache} from './helpers.js';
+
+// claims that may be revoked (denylisted)
+const REVOCABLE_CLAIMS = ['jti', 'sub', 'client_id'];
+
+let REVOCATION_STORE;
+
+bedrock.events.on('bedrock.init', async () => {
+  _createRevocationStore();
+});
+
+/**
+ * Adds a revocation to the revocation store's denylist; any access token
+ * with a matching `jti`, `sub`, or `client_id` claim will then be rejected
+ * by `checkAccessToken()` with the error code `ERR_TOKEN_REVOKED`. Claim
+ * values are matched regardless of the token's issuer.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} [options.jti] - A token ID (`jti`) to revoke.
+ * @param {string} [options.sub] - A subject (`sub`) to revoke all tokens for.
+ * @param {string} [options.clientId] - A client ID (`client_id`) to revoke
+ *   all tokens for.
+ * @param {Date} [options.expires] - When the revocation may be forgotten,
+ *   e.g., the `exp` of the latest affected token; by default, a revocation
+ *   never expires.
+ *
+ * @returns {Promise} Settles once the revocation has been stored.
+ */
+export async function addRevocation({jti, sub, clientId, expires} = {}) {
+  const revocations = [
+    {claim: 'jti', value: jti},
+    {claim: 'sub', value: sub},
+    {claim: 'client_id', value: clientId}
+  ].filter(({value}) => value !== undefined);
+  if(revocations.length === 0) {
+    throw new TypeError('One of "jti", "sub", or "clientId" is required.');
+  }
+  for(const {claim, value} of revocations) {
+    if(!(value && typeof value === 'string')) {
+      throw new TypeError(`"${claim}" must be a string.`);
+    }
+  }
+  if(!(expires === undefined || expires instanceof Date)) {
+    throw new TypeError('"expires" must be a Date.');
+  }
+  await Promise.all(revocations.map(
+    ({claim, value}) => REVOCATION_STORE.revoke({claim, value, expires})));
+}
+
+/**
+ * Checks the claims of a verified access token against the revocation
+ * store's denylist; any `jti`, `sub`, or `client_id` claim found in the
+ * denylist causes the token to be rejected.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.payload - The verified access token payload.
+ *
+ * @returns {Promise} Settles once the check has passed.
+ */
+export async function checkRevocation({payload} = {}) {
+  for(const claim of REVOCABLE_CLAIMS) {
+    const value = payload[claim];
+    if(typeof value === 'string' &&
+      await REVOCATION_STORE.isRevoked({claim, value})) {
+      throw createNotAllowedError({
+        code: 'ERR_TOKEN_REVOKED',
+        reason: `Access token "${claim}" has been revoked.`,
+        claim
+      });
+    }
+  }
+}
+
+/**
+ * Records the use of a single use access token by its `jti` claim, which is
+ * then kept until the token expires; the token is rejected if it has already
+ * been used (or has no `jti`). This should only be called once all other
+ * checks on the token have passed.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.payload - The verified access token payload.
+ * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
+ *   in seconds (when determining how long to record a `jti`).
+ *
+ * @returns {Promise} Settles once the use has been recorded.
+ */
+export async function recordTokenUse({payload, maxClockSkew = 300} = {}) {
+  if(!(payload.jti && typeof payload.jti === 'string')) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'missing required "jti" claim',
+      claim: 'jti'
+    });
+  }
+  // a `jti` only needs to be remembered until the token would expire
+  const expires = typeof payload.exp === 'number' ?
+    new Date((payload.exp + maxClockSkew) * 1000) : undefined;
+  const firstUse = await REVOCATION_STORE.markUsed({
+    jti: payload.jti, iss: payload.iss, expires
+  });
+  if(!firstUse) {
+    throw createNotAllowedError({
+      code: 'ERR_TOKEN_REUSED',
+      reason: 'Single use access token has already been used.',
+      claim: 'jti'
+    });
+  }
+}
+
+/**
+ * Creates an in-memory revocation store. Denylisted claim values are kept
+ * until their revocation expires; used token IDs (`jti` values) are kept
+ * until their tokens expire. Used token IDs are never evicted early (which
+ * would allow replays): once `max` unexpired token IDs are kept, recording
+ * another fails with a `QuotaExceededError` (HTTP 503) until some expire.
+ *
+ * Other stores (e.g., shared database-backed stores for multiple processes)
+ * must implement the same interface:
+ *
+ * - `revoke({claim, value, expires})`: Adds a claim value to the denylist.
+ * - `isRevoked({claim, value})`: Resolves to `true` if the claim value is in
+ *   the denylist.
+ * - `markUsed({jti, iss, expires})`: Atomically records a token ID and
+ *   resolves to `true` if it had not already been recorded; it must reject
+ *   (not forget a recorded token ID) if it cannot record the token ID.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {number} [options.max=10000] - The maximum number of unexpired
+ *   used token IDs to keep.
+ *
+ * @returns {object} The revocation store.
+ */
+export function createMemoryRevocationStore({max = 10000} = {}) {
+  const denylist = new Map();
+  const used = createReplayCache({
+    max,
+    message: 'Single use access token could not be recorded; too many ' +
+      'unexpired access tokens have been used.'
+  });
+  return {
+    async revoke({claim, value, expires}) {
+      denylist.set(`${claim}:${value}`, expires?.getTime() ?? Infinity);
+    },
+    async isRevoked({claim, value}) {
+      const key = `${claim}:${value}`;
+      const expires = denylist.get(key);
+      if(expires === undefined) {
+        return false;
+      }
+      if(expires < Date.now()) {
+        denylist.delete(key);
+        return false;
+      }
+      return true;
+    },
+    async markUsed({jti, iss, expires}) {
+      return used.add({key: `${iss}:${jti}`, expires: expires?.getTime()});
+    }
+  };
+}
+
+/**
+ * Sets the revocation store to use instead of the default in-memory store;
+ * see `createMemoryRevocationStore()` for the interface it must implement.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.store - The revocation store.
+ */
+export function setRevocationStore({store} = {}) {
+  if(!(store && typeof store.revoke === 'function' &&
+    typeof store.isRevoked === 'function' &&
+    typeof store.markUsed === 'function')) {
+    throw new TypeError(
+      '"store" must implement "revoke", "isRevoked", and "markUsed".');
+  }
+  REVOCATION_STORE = store;
+}
+
+// exposed for testing purposes only
+export function _resetRevocationStore() {
+  _createRevocationStore();
+}
+
+function _createRevocationStore() {
+  const {revocation: {usedTokens}} = bedrock.config['oauth2-verifier'];
+  REVOCATION_STORE = createMemoryRevocationStore(usedTokens);
+}
@@ -1,26 +1,22 @@
 /*!
- * Copyright (c) 2021-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
+import {
+  _findMatchingPolicyRule,
+  _findPolicyScopeGrant,
+  _getPolicyAction,
+  _stripQuery
+} from './policy.js';
+import {_findMatchingAuthorizationDetail} from './authorizationDetails.js';
+import {_getOriginalUrlWithoutAccessToken} from './tokenSources.js';
+import {canonicalizeTarget} from './canonicalization.js';
 import {checkAccessToken} from './accessToken.js';
+import {createNotAllowedError} from './helpers.js';
+import {recordTokenUse} from './revocation.js';
 
 const {util: {BedrockError}} = bedrock;
 
-// note: these default actions match ezcap-express
-// https://github.com/digitalbazaar/ezcap-express
-const DEFAULT_ACTION_FOR_METHOD = new Map([
-  ['GET', 'read'],
-  ['HEAD', 'read'],
-  ['OPTIONS', 'read'],
-  ['POST', 'write'],
-  ['PUT', 'write'],
-  ['PATCH', 'write'],
-  ['DELETE', 'write'],
-  ['CONNECT', 'write'],
-  ['TRACE', 'write'],
-  ['PATCH', 'write']
-]);
-
 /**
  * Checks an OAuth2 JWT access token that uses a scope that must match
  * the given request's method and target resource and the "expected values" as
@@ -31,7 +27,15 @@ const DEFAULT_ACTION_FOR_METHOD = new Map([
  * e.g., `read:/some/path` or `write:/another/place?foo=bar`.
  *
  * The scope will be considered a "match" based on the rules described below
- * in the description of `getExpectedValues()`.
+ * in the description of `getExpectedValues()`. The expected target and each
+ * scope target (or authorization details location) are canonicalized before
+ * they are matched (see `canonicalizeTarget()`), so that, e.g., `/foos/%31`
+ * matches `read:/foos/./1`. Dot segments are only removed from scope targets
+ * and authorization details locations: a request with a target that has `.`
+ * or `..` (raw or percent-encoded) or empty path segments, such as
+ * `/foos/../admin` or `/foos//1`, or that otherwise cannot be canonicalized
+ * is rejected with the error code `ERR_INVALID_REQUEST`, as the server may
+ * resolve such a path differently.
  *
  * The only other claims checked will be: `typ`, `iss`, `aud`, `exp`, `nbf`.
  *
@@ -60,15 +64,39 @@ const DEFAULT_ACTION_FOR_METHOD = new Map([
  *   `target` value is not prefixed by `rootInvocationTarget`, the access token
  *   will be rejected.
  *
+ * `authorizationDetail` (optional object): An expected authorization detail
+ *   (RFC 9396) with a required `type` and optional `actions`, `locations`,
+ *   and `datatypes` arrays; if given and the JWT has an
+ *   `authorization_details` claim, one of its details must have the same
+ *   `type`, include all of the expected `actions` (defaults to the expected
+ *   `action`) and `datatypes`, have `locations` that include (hierarchically,
+ *   as with scope targets) all of the expected `locations` (defaults to the
+ *   expected `target`) unless it has no `locations`, and satisfy any
+ *   predicate registered for its `type` via
+ *   `registerAuthorizationDetailsType()`; if the JWT has no
+ *   `authorization_details` claim, its scope is checked instead.
+ * `acrValues` (optional array of strings): Step-up authentication
+ *   requirements for the route that override the "acrValues" option.
+ * `maxAuthAge` (optional number): Step-up authentication requirements for
+ *   the route that override the "maxAuthAge" option.
+ * `delegation` (optional object): Token exchange delegation requirements
+ *   (RFC 8693) for the route that override the "delegation" option, e.g.,
+ *   `{allowed: false}` to reject delegated access tokens on the route.
+ *
  * Note that a JWT must have a scope that includes a space-delimited value
  * that has BOTH a matching `action` and `target`. For clarify, a single
  * `<action>:<target>` (no spaces) is a potentially acceptable scope.
  *
  * @param {object} options - The options to use.
  * @param {object} options.req - The HTTP request interface, providing a
- *   `get()` function to access the `authorization` header.
- * @param {string} options.issuerConfigUrl - The URL for the config (meta data)
- *   for the trusted issuer.
+ *   `get()` function to access its headers.
+ * @param {Array} [options.tokenSources] - The ordered list of allowed
+ *   sources for the access token in "req"; see `checkAccessToken()`.
+ * @param {string} [options.issuerConfigUrl] - The URL for the config (meta
+ *   data) for the trusted issuer; if not given, the issuer is selected from
+ *   the trusted issuer registry; see `checkAccessToken()`.
+ * @param {object} [options.trustedIssuers] - A trusted issuer registry to
+ *   use instead of the configured one; see `checkAccessToken()`.
  * @param {Function} options.getExpectedValues - A function that returns
  *   an object (or a promise that resolves to such an object) that includes
  *   the expected values as described above.
@@ -81,75 +109,241 @@ const DEFAULT_ACTION_FOR_METHOD = new Map([
  *   default to the expected `rootInvocationTarget`.
  * @param {string} [options.typ='at+jwt'] - A string that represents the
  *   expected (and allowed) `typ` claim for the JWT.
+ * @param {string} [options.dpop] - Set to `optional` to also accept
+ *   DPoP-bound access tokens or to `required` to only accept those
+ *   (RFC 9449); see `checkAccessToken()`.
+ * @param {string} [options.mtls] - Set to `optional` to check any mTLS
+ *   certificate binding or to `required` to only accept certificate-bound
+ *   access tokens (RFC 8705); see `checkAccessToken()`.
+ * @param {boolean} [options.introspect=false] - Set to `true` to check the
+ *   access token using the issuer's introspection endpoint (RFC 7662); see
+ *   `checkAccessToken()`.
+ * @param {object} [options.clientCredentials] - The client credentials to
+ *   use with the introspection endpoint; see `checkAccessToken()`.
+ * @param {boolean} [options.singleUse] - Set to `true` to reject any reuse
+ *   of the access token; it is only recorded as used once its scope has
+ *   matched; see `checkAccessToken()`.
+ * @param {Array<string>} [options.acrValues] - The acceptable values for the
+ *   access token's `acr` claim (RFC 9470); see `checkAccessToken()`.
+ * @param {number} [options.maxAuthAge] - The maximum age of the access
+ *   token's `auth_time` claim in seconds (RFC 9470); see
+ *   `checkAccessToken()`.
+ * @param {object} [options.delegation] - Token exchange delegation
+ *   requirements (RFC 8693); see `checkAccessToken()`.
+ * @param {object|string} [options.policy] - A declarative route-to-scope
+ *   policy whose rule for the request's method and path determines whether
+ *   it is public, its required scopes, its expected action, and its
+ *   audience; defaults to the `policy` config value; see `compilePolicy()`.
+ * @param {boolean} [options.unorderedQuery] - Set to `true` to match a scope
+ *   target with a query (e.g., `read:/foos?b=2&a=1`) if its path is the same
+ *   as the expected target's and each of its query parameters is in the
+ *   expected target's query, in any order; defaults to the
+ *   `scopeMatching.unorderedQuery` config value.
  *
  * @returns {Promise<object>} An object with `issuer`, `jwks`, and full
  *   meta data config in `config`.
  */
-export async function checkTargetScopedAccessToken({
-  req, issuerConfigUrl, getExpectedValues,
-  allowedAlgorithms, maxClockSkew = 300, audience, typ = 'at+jwt'
+export async function checkTargetScopedAccessToken(options = {}) {
+  await _checkTargetScopedAccessToken(options);
+  return true;
+}
+
+/**
+ * Checks an OAuth2 JWT access token just like
+ * `checkTargetScopedAccessToken()`, but returns what granted access: either
+ * the authorization detail from the JWT's `authorization_details` claim
+ * (RFC 9396) that matched the expected `authorizationDetail` or, when the
+ * JWT has no `authorization_details` claim, the matching `scope`.
+ *
+ * @param {object} options - The options to use; see
+ *   `checkTargetScopedAccessToken()`.
+ *
+ * @returns {Promise<object>} An object with the verified `payload`,
+ *   `protectedHeader`, delegation `actorChain`, and `tokenSource` (see
+ *   `checkAccessToken()`) and either the matching `authorizationDetail` or
+ *   `scope`.
+ */
+export async function checkAuthorizationDetails(options = {}) {
+  const {
+    payload, protectedHeader, actorChain, tokenSource, authorizationDetail,
+    scope
+  } = await _checkTargetScopedAccessToken(options);
+  return authorizationDetail ?
+    {payload, protectedHeader, actorChain, tokenSource, authorizationDetail} :
+    {payload, protectedHeader, actorChain, tokenSource, scope};
+}
+
+/**
+ * Checks an OAuth2 JWT access token just like
+ * `checkTargetScopedAccessToken()`, but returns a decision object that
+ * records why the request was allowed, so that handlers can make further
+ * decisions (e.g., based on the subject or client ID) without checking the
+ * access token again.
+ *
+ * @param {object} options - The options to use; see
+ *   `checkTargetScopedAccessToken()`.
+ *
+ * @returns {Promise<object>} A decision object with `allowed` set to
+ *   `true`; the verified `payload`, `protectedHeader`, delegation
+ *   `actorChain`, and `tokenSource` (see `checkAccessToken()`); the resolved
+ *   expected `action`, `target`, and `rootInvocationTarget`; the requested
+ *   `path` (the target relative to the root invocation target); and either
+ *   the `authorizationDetail` that granted access or the `scope` entry that
+ *   granted access and the `remainingPath`, i.e., the part of the requested
+ *   path beyond the scope's target. If a policy is used, the `rule` that
+ *   applied and its `ruleIndex` are included; for a public route, the
+ *   decision only includes those, `public: true`, and the `target`,
+ *   `rootInvocationTarget`, and `path`, as no access token is checked.
+ */
+export async function authorizeTargetScopedRequest(options = {}) {
+  return _checkTargetScopedAccessToken(options);
+}
+
+// returns the decision object described in `authorizeTargetScopedRequest()`
+export async function _checkTargetScopedAccessToken({
+  req, tokenSources, issuerConfigUrl, getExpectedValues,
+  trustedIssuers, allowedAlgorithms, maxClockSkew = 300, audience, typ, dpop,
+  mtls, introspect = false, clientCredentials,
+  singleUse = bedrock.config['oauth2-verifier'].revocation.singleUse,
+  acrValues, maxAuthAge, delegation,
+  policy = bedrock.config['oauth2-verifier'].policy,
+  unorderedQuery = bedrock.config['oauth2-verifier'].scopeMatching
+    .unorderedQuery
 } = {}) {
   // get expected values
   const expected = await getExpectedValues({req});
   _checkExpectedValues({req, expected});
 
+  // the request URL never includes an access token sent in its query
+  const originalUrl = _getOriginalUrlWithoutAccessToken({
+    req, sources: tokenSources, dpop
+  });
+
   // set expected defaults
-  expected.action =
-    expected.action ?? DEFAULT_ACTION_FOR_METHOD.get(req.method);
-  if(expected.action === undefined) {
-    const error = new Error(
-      `The HTTP method ${req.method} has no expected capability action.`);
-    error.name = 'NotSupportedError';
-    error.httpStatusCode = 400;
-    throw error;
-  }
   if(expected.target === undefined) {
     // default expected target is always the full request URL
-    expected.target = `https://${expected.host}${req.originalUrl}`;
+    expected.target = `https://${expected.host}${originalUrl}`;
   }
 
+  // canonicalize targets so that equivalent targets (e.g., with different
+  // percent-encodings) match the same scopes
+  expected.target = _canonicalizeExpectedTarget({target: expected.target});
+  const rootInvocationTarget = canonicalizeTarget({
+    target: expected.rootInvocationTarget
+  });
+
   // do not allow a custom target to be outside of the scope of the
   // root invocation target (its oauth2 rules only apply to targets within
   // its scope)
-  const {rootInvocationTarget} = expected;
   if(!expected.target.startsWith(rootInvocationTarget)) {
     throw new Error(
       `Expected "target" must start with "${rootInvocationTarget}".`);
   }
+  // `path` is relative to the root invocation target
+  const path = expected.target.slice(rootInvocationTarget.length) || '/';
+
+  // apply the policy rule for the route, if any
+  let policyDecision;
+  if(policy) {
+    const match = _findMatchingPolicyRule({
+      policy, method: req.method, path: _stripQuery({path})
+    });
+    if(!match) {
+      throw createNotAllowedError({
+        code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+        reason: 'No policy rule allows the request.',
+        claim: 'scope'
+      });
+    }
+    const {rule, index: ruleIndex} = match;
+    policyDecision = {rule, ruleIndex};
+    if(rule.public) {
+      return {
+        allowed: true, public: true, target: expected.target,
+        rootInvocationTarget, path, ...policyDecision
+      };
+    }
+    audience = rule.audience ?? audience;
+  }
+
+  expected.action = expected.action ??
+    _getPolicyAction({rule: policyDecision?.rule, method: req.method});
+  if(expected.action === undefined) {
+    const error = new Error(
+      `The HTTP method ${req.method} has no expected capability action.`);
+    error.name = 'NotSupportedError';
+    error.httpStatusCode = 400;
+    throw error;
+  }
 
   if(audience === undefined) {
-    audience = rootInvocationTarget;
+    audience = expected.rootInvocationTarget;
   }
 
-  const {payload} = await checkAccessToken({
-    req, issuerConfigUrl, audience, allowedAlgorithms, maxClockSkew, typ
+  // DPoP proof `htu` must match the full request URL
+  const requestUrl = `https://${expected.host}${originalUrl}`;
+  const {
+    payload, protectedHeader, actorChain, tokenSource
+  } = await checkAccessToken({
+    req, tokenSources, issuerConfigUrl, trustedIssuers, audience,
+    allowedAlgorithms, maxClockSkew, typ,
+    dpop, requestUrl, mtls, introspect, clientCredentials,
+    // single use is handled below once the scope has matched
+    singleUse: false,
+    // per-route step-up authentication requirements take precedence
+    acrValues: expected.acrValues ?? acrValues,
+    maxAuthAge: expected.maxAuthAge ?? maxAuthAge,
+    // per-route delegation requirements take precedence
+    delegation: expected.delegation ?? delegation
   });
 
-  // generate required action scope and relative path from action and target
-  const requiredActionScope = `${expected.action}:`;
-  const path = expected.target.slice(rootInvocationTarget.length) || '/';
+  // record what was checked for the decision
+  const {action, target} = expected;
+  const decision = {
+    allowed: true, payload, protectedHeader, actorChain, tokenSource,
+    action, target, rootInvocationTarget, path, ...policyDecision
+  };
 
-  // ensure scope matches...
-  const scopes = payload.scope?.split(' ') || [];
-  for(const scope of scopes) {
-    // require exact `action` match
-    if(!scope.startsWith(requiredActionScope)) {
-      continue;
+  // check authorization details (RFC 9396) when expected and present in the
+  // JWT; otherwise fall back to checking scope
+  const {authorization_details: authorizationDetails} = payload;
+  if(expected.authorizationDetail && authorizationDetails !== undefined) {
+    const authorizationDetail = Array.isArray(authorizationDetails) ?
+      await _findMatchingAuthorizationDetail({
+        authorizationDetails,
+        expected: {
+          actions: [expected.action],
+          locations: [expected.target],
+          ...expected.authorizationDetail
+        },
+        req
+      }) : undefined;
+    if(authorizationDetail === undefined) {
+      throw createNotAllowedError({
+        code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+        reason: 'Access token "authorization_details" is insufficient.',
+        claim: 'authorization_details'
+      });
     }
-    // allow hierarchical, HTTP path- or query- based attenuation
-    const pathScope = scope.slice(requiredActionScope.length);
-    if(pathScope === '/') {
-      // full path access granted
-      return true;
+    if(singleUse) {
+      await recordTokenUse({payload, maxClockSkew});
     }
-    // `pathScope` must terminate just before a path or query delimiter
-    if(path.startsWith(pathScope)) {
-      const rest = path.slice(pathScope.length);
-      if(rest.length === 0 || rest.startsWith('/') || rest.startsWith('?') ||
-        rest.startsWith('&') || rest.startsWith('#')) {
-        return true;
-      }
+    return {...decision, authorizationDetail};
+  }
+
+  // ensure scope matches the policy rule's required scopes (any one of) or,
+  // by default, the expected action and target
+  const scopes = payload.scope?.split(' ') || [];
+  const requiredScopes = policyDecision?.rule.scopes ?? [`${action}:${path}`];
+  const grant = _findPolicyScopeGrant({
+    scopes, requiredScopes, unorderedQuery
+  });
+  if(grant) {
+    if(singleUse) {
+      await recordTokenUse({payload, maxClockSkew});
     }
+    const {scope, remainingPath} = grant;
+    return {...decision, scope, remainingPath};
   }
 
   throw new BedrockError(
@@ -160,17 +354,32 @@ export async function checkTargetScopedAccessToken({
         public: true,
         code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
         reason: `Access token "scope" is insufficient.`,
-        claim: 'scope'
+        claim: 'scope',
+        requiredScope: requiredScopes.join(' ')
       }
     });
 }
 
+function _canonicalizeExpectedTarget({target}) {
+  try {
+    return canonicalizeTarget({target, strictPath: true});
+  } catch(e) {
+    throw createNotAllowedError({
+      code: 'ERR_INVALID_REQUEST',
+      reason: `Invalid request target: ${e.message}`
+    });
+  }
+}
+
 function _checkExpectedValues({expected}) {
   if(!(expected && typeof expected === 'object')) {
     throw new TypeError('"getExpectedValues" must return an object.');
   }
 
-  const {action, host, rootInvocationTarget, target} = expected;
+  const {
+    action, authorizationDetail, delegation, host, rootInvocationTarget,
+    target
+  } = expected;
 
   // expected `action` is optional
   if(!(action === undefined || typeof action === 'string')) {
@@ -197,4 +406,28 @@ function _checkExpectedValues({expected}) {
       'Expected "target" must be a string that expresses an absolute ' +
       'URI.');
   }
+  // expected `delegation` is optional
+  if(!(delegation === undefined ||
+    (delegation && typeof delegation === 'object'))) {
+    throw new TypeError('Expected "delegation" must be an object.');
+  }
+  // expected `authorizationDetail` is optional
+  if(authorizationDetail !== undefined) {
+    const {type} = authorizationDetail ?? {};
+    if(!(typeof authorizationDetail === 'object' && type &&
+      typeof type === 'string')) {
+      throw new TypeError(
+        'Expected "authorizationDetail" must be an object with a "type" ' +
+        'string.');
+    }
+    for(const property of ['actions', 'locations', 'datatypes']) {
+      const values = authorizationDetail[property];
+      if(!(values === undefined || (Array.isArray(values) &&
+        values.every(value => typeof value === 'string')))) {
+        throw new TypeError(
+          `Expected "authorizationDetail.${property}" must be an array of ` +
+          'strings.');
+      }
+    }
+  }
 }
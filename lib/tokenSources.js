@@ -0,0 +1,194 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createNotAllowedError} from './helpers.js';
+
+const OAUTH2_TOKEN_REGEX = /^Bearer (.+)$/i;
+const DPOP_TOKEN_REGEX = /^DPoP (.+)$/i;
+const FORM_CONTENT_TYPE_REGEX = /^application\/x-www-form-urlencoded\s*(;|$)/i;
+const SOURCES = new Set(['header', 'body', 'query']);
+// methods for which a request body has no defined semantics
+const BODYLESS_METHODS = new Set(['GET', 'HEAD']);
+
+/**
+ * Gets the access token sent with the given HTTP request from the allowed
+ * sources (RFC 6750):
+ *
+ * - `header`: The `Authorization` header ("Bearer" or, per the "dpop" mode,
+ *   "DPoP" scheme).
+ * - `body`: The `access_token` parameter of an
+ *   `application/x-www-form-urlencoded` request body (as parsed into
+ *   `req.body`); the request method must not be `GET` or `HEAD`.
+ * - `query`: The `access_token` query parameter; a response to such a
+ *   request should include `Cache-Control: private`.
+ * - `{cookie: '<name>'}`: The cookie with the given name.
+ *
+ * A request that presents more than one access token (in any sources) or
+ * that uses a form body incorrectly is rejected with a `NotAllowedError`
+ * with the error code `ERR_INVALID_REQUEST`; a request without an access
+ * token in any source is rejected with a `NotAllowedError` with the error
+ * code `ERR_ACCESS_TOKEN_MISSING`. DPoP-bound access tokens are only read
+ * from the `Authorization` header, so when "dpop" is `required`, only the
+ * `header` source is used.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.req - The HTTP request.
+ * @param {Array} [options.sources] - The ordered list of allowed sources;
+ *   defaults to the `tokenSources` config value.
+ * @param {string} [options.dpop] - The DPoP mode; see `checkAccessToken()`.
+ *
+ * @returns {object} An object with the access `token`, its `scheme`
+ *   (`Bearer` or `DPoP`), and the `source` that supplied it (`header`,
+ *   `body`, `query`, or `cookie`).
+ */
+export function getAccessTokenFromRequest({req, sources, dpop} = {}) {
+  sources = sources ?? bedrock.config['oauth2-verifier'].tokenSources;
+  _checkSources({sources});
+  if(dpop === 'required') {
+    sources = sources.filter(source => source === 'header');
+  }
+
+  const found = [];
+  for(const source of sources) {
+    const result = _getTokenFromSource({req, source, dpop});
+    if(result.token !== undefined) {
+      found.push(result);
+    }
+  }
+  if(found.length > 1) {
+    _throwInvalidRequest({
+      reason: 'More than one access token was sent with the request.'
+    });
+  }
+  if(found.length === 0) {
+    throw createNotAllowedError({
+      code: 'ERR_ACCESS_TOKEN_MISSING',
+      reason: 'Access token not provided.'
+    });
+  }
+  return found[0];
+}
+
+// returns `req.originalUrl` without any `access_token` query parameter if
+// access tokens may be read from the query; the parameter carries a
+// credential, so it is not part of the requested URL and must not be used in
+// (or leak via) request targets
+export function _getOriginalUrlWithoutAccessToken({req, sources, dpop}) {
+  sources = sources ?? bedrock.config['oauth2-verifier'].tokenSources;
+  const {originalUrl} = req;
+  const queryIndex = originalUrl.indexOf('?');
+  if(queryIndex === -1 || dpop === 'required' || !sources.includes('query')) {
+    return originalUrl;
+  }
+  const params = originalUrl.slice(queryIndex + 1).split('&')
+    .filter(param => _decodeQueryName({param}) !== 'access_token');
+  const path = originalUrl.slice(0, queryIndex);
+  return params.length > 0 ? `${path}?${params.join('&')}` : path;
+}
+
+function _checkSources({sources}) {
+  if(!(Array.isArray(sources) && sources.length > 0 &&
+    sources.every(source => SOURCES.has(source) ||
+      (typeof source?.cookie === 'string' && source.cookie)))) {
+    throw new TypeError(
+      '"sources" must be a non-empty array with "header", "body", "query", ' +
+      'or "{cookie: <name>}" values.');
+  }
+}
+
+// decodes the name of a query parameter as `URLSearchParams` does
+function _decodeQueryName({param}) {
+  const name = param.split('=', 1)[0].replace(/\+/g, ' ');
+  try {
+    return decodeURIComponent(name);
+  } catch(e) {
+    return name;
+  }
+}
+
+function _getTokenFromSource({req, source, dpop}) {
+  if(source === 'header') {
+    return _getTokenFromHeader({req, dpop});
+  }
+  if(source === 'body') {
+    return {
+      token: _getTokenFromBody({req}), scheme: 'Bearer', source: 'body'
+    };
+  }
+  if(source === 'query') {
+    return {
+      token: _getTokenFromQuery({req}), scheme: 'Bearer', source: 'query'
+    };
+  }
+  return {
+    token: _getTokenFromCookie({req, name: source.cookie}),
+    scheme: 'Bearer',
+    source: 'cookie'
+  };
+}
+
+function _getTokenFromHeader({req, dpop}) {
+  const authorization = req.get('authorization');
+  if(dpop) {
+    const token = authorization?.match(DPOP_TOKEN_REGEX)?.[1];
+    if(token || dpop === 'required') {
+      return {token, scheme: 'DPoP', source: 'header'};
+    }
+  }
+  return {
+    token: authorization?.match(OAUTH2_TOKEN_REGEX)?.[1],
+    scheme: 'Bearer',
+    source: 'header'
+  };
+}
+
+// see: https://datatracker.ietf.org/doc/html/rfc6750#section-2.2
+function _getTokenFromBody({req}) {
+  const token = req.body?.access_token;
+  if(token === undefined) {
+    return;
+  }
+  if(BODYLESS_METHODS.has(req.method) ||
+    !FORM_CONTENT_TYPE_REGEX.test(req.get('content-type') ?? '')) {
+    _throwInvalidRequest({
+      reason: 'An access token in a request body requires a method with ' +
+        'body semantics and an "application/x-www-form-urlencoded" body.'
+    });
+  }
+  if(typeof token !== 'string') {
+    _throwInvalidRequest({
+      reason: 'More than one access token was sent with the request.'
+    });
+  }
+  return token || undefined;
+}
+
+// see: https://datatracker.ietf.org/doc/html/rfc6750#section-2.3
+function _getTokenFromQuery({req}) {
+  const {searchParams} = new URL(req.originalUrl, 'https://localhost');
+  const tokens = searchParams.getAll('access_token');
+  if(tokens.length > 1) {
+    _throwInvalidRequest({
+      reason: 'More than one access token was sent with the request.'
+    });
+  }
+  return tokens[0] || undefined;
+}
+
+function _getTokenFromCookie({req, name}) {
+  const tokens = (req.get('cookie') ?? '').split(';')
+    .map(cookie => cookie.trim().split('='))
+    .filter(([cookieName]) => cookieName === name)
+    .map(([, ...value]) => value.join('='));
+  if(tokens.length > 1) {
+    _throwInvalidRequest({
+      reason: 'More than one access token was sent with the request.'
+    });
+  }
+  return tokens[0] || undefined;
+}
+
+function _throwInvalidRequest({reason}) {
+  throw createNotAllowedError({code: 'ERR_INVALID_REQUEST', reason});
+}
@@ -0,0 +1,56 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import {createNotAllowedError} from './helpers.js';
+import {decodeJwt} from 'jose';
+
+/**
+ * Gets the trusted issuer registry entry for the issuer of the given JWT.
+ * The JWT's `iss` claim is read *without* verifying the JWT; the JWT must
+ * be verified afterwards using the returned entry. A JWT from an unknown
+ * issuer is rejected without any network I/O.
+ *
+ * A trusted issuer registry maps issuer identifiers (`iss` values) to
+ * entries with an `issuerConfigUrl` and, optionally, the `allowedAlgorithms`,
+ * `audience`, and `typ` to use when verifying JWTs from that issuer.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.jwt - The JWT.
+ * @param {object} [options.trustedIssuers] - The trusted issuer registry to
+ *   use; defaults to the configured `trustedIssuers`.
+ *
+ * @returns {object} The trusted issuer registry entry.
+ */
+export function getTrustedIssuer({jwt, trustedIssuers} = {}) {
+  if(trustedIssuers === undefined) {
+    ({trustedIssuers} = bedrock.config['oauth2-verifier']);
+  }
+  if(!(trustedIssuers && typeof trustedIssuers === 'object' &&
+    Object.keys(trustedIssuers).length > 0)) {
+    throw new TypeError(
+      'Either "issuerConfigUrl" or a non-empty "trustedIssuers" registry ' +
+      'is required.');
+  }
+
+  let iss;
+  try {
+    ({iss} = decodeJwt(jwt));
+  } catch(e) {
+    throw createNotAllowedError({code: e.code, reason: e.message});
+  }
+  const entry = typeof iss === 'string' &&
+    Object.hasOwn(trustedIssuers, iss) ? trustedIssuers[iss] : undefined;
+  if(!entry) {
+    throw createNotAllowedError({
+      code: 'ERR_JWT_CLAIM_VALIDATION_FAILED',
+      reason: 'unexpected "iss" claim value',
+      claim: 'iss'
+    });
+  }
+  if(typeof entry.issuerConfigUrl !== 'string') {
+    throw new TypeError(
+      `Trusted issuer "${iss}" must have an "issuerConfigUrl" string.`);
+  }
+  return entry;
+}
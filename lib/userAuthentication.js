@@ -0,0 +1,70 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createNotAllowedError} from './helpers.js';
+
+/**
+ * Checks that the user authentication an access token was issued for meets
+ * step-up authentication requirements (RFC 9470): its `acr` claim must be
+ * one of the given `acrValues` and its `auth_time` claim must be no older
+ * than `maxAuthAge`. Otherwise, a `NotAllowedError` with the error code
+ * `ERR_INSUFFICIENT_USER_AUTHENTICATION` and the unmet `acrValues` and
+ * `maxAge` details is thrown so that an `insufficient_user_authentication`
+ * challenge can be sent; see `getBearerChallenge()`.
+ *
+ * See: https://datatracker.ietf.org/doc/html/rfc9470 .
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.payload - The verified access token payload.
+ * @param {Array<string>} [options.acrValues] - The acceptable authentication
+ *   context class references, in order of preference.
+ * @param {number} [options.maxAuthAge] - The maximum time since the user
+ *   authenticated, in seconds.
+ * @param {number} [options.maxClockSkew=300] - The maximum clock skew to allow
+ *   in seconds (when checking `auth_time`).
+ */
+export function checkUserAuthentication({
+  payload, acrValues, maxAuthAge, maxClockSkew = 300
+} = {}) {
+  if(!(acrValues === undefined || (Array.isArray(acrValues) &&
+    acrValues.length > 0 &&
+    acrValues.every(value => value && typeof value === 'string')))) {
+    throw new TypeError('"acrValues" must be a non-empty array of strings.');
+  }
+  if(!(maxAuthAge === undefined ||
+    (Number.isInteger(maxAuthAge) && maxAuthAge >= 0))) {
+    throw new TypeError('"maxAuthAge" must be a non-negative integer.');
+  }
+
+  if(acrValues !== undefined && !acrValues.includes(payload.acr)) {
+    _throwInsufficientUserAuthentication({
+      reason: 'Access token "acr" is insufficient.',
+      claim: 'acr', acrValues, maxAuthAge
+    });
+  }
+  if(maxAuthAge !== undefined) {
+    const now = Math.floor(Date.now() / 1000);
+    if(typeof payload.auth_time !== 'number' ||
+      payload.auth_time + maxAuthAge < now - maxClockSkew) {
+      _throwInsufficientUserAuthentication({
+        reason: 'Access token "auth_time" is too old.',
+        claim: 'auth_time', acrValues, maxAuthAge
+      });
+    }
+  }
+}
+
+function _throwInsufficientUserAuthentication({
+  reason, claim, acrValues, maxAuthAge
+}) {
+  const extra = {};
+  if(acrValues !== undefined) {
+    extra.acrValues = acrValues.join(' ');
+  }
+  if(maxAuthAge !== undefined) {
+    extra.maxAge = maxAuthAge;
+  }
+  throw createNotAllowedError({
+    code: 'ERR_INSUFFICIENT_USER_AUTHENTICATION', reason, claim, extra
+  });
+}
@@ -1,10 +1,11 @@
 /*!
- * Copyright (c) 2022-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {
   _resetIssuerConfigCache,
   discoverIssuer
 } from '@bedrock/oauth2-verifier';
+import {config} from '@bedrock/core';
 import {mockData} from './mock.data.js';
 
 const {baseUrl} = mockData;
@@ -23,8 +24,9 @@ describe('discoverIssuer', () => {
     }
     assertNoError(err);
     should.exist(result);
-    result.should.have.keys(['issuer', 'jwks', 'config']);
+    result.should.have.keys(['issuer', 'jwks', 'config', 'stale']);
     result.issuer.should.equal(mockData.oauth2Config.issuer);
+    result.stale.should.equal(false);
   });
   it('throws error on bad `issuerConfigUrl`', async () => {
     let err;
@@ -72,4 +74,146 @@ describe('discoverIssuer', () => {
     // reset cache again
     _resetIssuerConfigCache();
   });
+  describe('w/HTTP caching headers', () => {
+    const {issuerConfig} = config['oauth2-verifier'];
+    const {httpCache} = issuerConfig;
+    beforeEach(() => {
+      issuerConfig.httpCache = {minTtl: 200, maxTtl: 1000};
+      _resetIssuerConfigCache();
+    });
+    afterEach(() => {
+      mockData.cacheHeaders = null;
+      issuerConfig.httpCache = httpCache;
+      _resetIssuerConfigCache();
+    });
+
+    it('rotates per "max-age" and reuses data on 304', async () => {
+      mockData.cacheHeaders = {'Cache-Control': 'max-age=1', ETag: '"v1"'};
+      const {config: issuerConfig1, jwks: jwks1} = await discoverIssuer({
+        issuerConfigUrl
+      });
+      const requests = mockData.issuerConfigRequests;
+      const notModified = mockData.notModifiedResponses;
+
+      // not rotated yet
+      await new Promise(r => setTimeout(r, 600));
+      await discoverIssuer({issuerConfigUrl});
+      mockData.issuerConfigRequests.should.equal(requests);
+
+      // rotated using conditional requests
+      await new Promise(r => setTimeout(r, 600));
+      const {config: issuerConfig2, jwks: jwks2} = await discoverIssuer({
+        issuerConfigUrl
+      });
+      mockData.issuerConfigRequests.should.equal(requests + 1);
+      mockData.notModifiedResponses.should.equal(notModified + 2);
+      issuerConfig2.should.equal(issuerConfig1);
+      jwks2.should.equal(jwks1);
+    });
+    it('honors a "max-age" longer than the cache TTL', async () => {
+      _resetIssuerConfigCache({ttl: 200});
+      mockData.cacheHeaders = {'Cache-Control': 'max-age=1'};
+      const {config: issuerConfig1} = await discoverIssuer({issuerConfigUrl});
+      const requests = mockData.issuerConfigRequests;
+
+      // not refetched once the cache TTL has passed without any use
+      await new Promise(r => setTimeout(r, 500));
+      const {config: issuerConfig2} = await discoverIssuer({issuerConfigUrl});
+      mockData.issuerConfigRequests.should.equal(requests);
+      issuerConfig2.should.equal(issuerConfig1);
+    });
+    it('clamps "no-store" to the min bound', async () => {
+      mockData.cacheHeaders = {'Cache-Control': 'no-store'};
+      const {config: issuerConfig1} = await discoverIssuer({issuerConfigUrl});
+      const requests = mockData.issuerConfigRequests;
+      await new Promise(r => setTimeout(r, 300));
+      const {config: issuerConfig2} = await discoverIssuer({issuerConfigUrl});
+      mockData.issuerConfigRequests.should.equal(requests + 1);
+      issuerConfig2.should.not.equal(issuerConfig1);
+    });
+    it('clamps "Expires" to the max bound', async () => {
+      issuerConfig.httpCache = {minTtl: 200, maxTtl: 300};
+      mockData.cacheHeaders = {
+        Expires: new Date(Date.now() + 86400000).toUTCString()
+      };
+      const {config: issuerConfig1} = await discoverIssuer({issuerConfigUrl});
+      const requests = mockData.issuerConfigRequests;
+      await new Promise(r => setTimeout(r, 400));
+      const {config: issuerConfig2} = await discoverIssuer({issuerConfigUrl});
+      mockData.issuerConfigRequests.should.equal(requests + 1);
+      issuerConfig2.should.not.equal(issuerConfig1);
+    });
+  });
+  describe('w/unreachable issuer', () => {
+    const {issuerConfig} = config['oauth2-verifier'];
+    const {retryBackoff, staleIfError} = issuerConfig;
+    beforeEach(() => {
+      issuerConfig.retryBackoff = {initial: 1000, max: 1000};
+      _resetIssuerConfigCache({ttl: 200});
+    });
+    afterEach(() => {
+      mockData.issuerConfigUnavailable = false;
+      issuerConfig.retryBackoff = retryBackoff;
+      issuerConfig.staleIfError = staleIfError;
+      _resetIssuerConfigCache();
+    });
+
+    // waits for the given time whilst keeping the cache entry in use
+    async function _wait(ms) {
+      for(; ms > 0; ms -= 100) {
+        await new Promise(r => setTimeout(r, 100));
+        await discoverIssuer({issuerConfigUrl}).catch(() => {});
+      }
+    }
+
+    it('serves a stale issuer config and backs off', async () => {
+      const {config: issuerConfig1} = await discoverIssuer({issuerConfigUrl});
+
+      // make issuer unreachable and wait for the record to expire
+      mockData.issuerConfigUnavailable = true;
+      await _wait(500);
+      const before = mockData.issuerConfigRequests;
+      const result = await discoverIssuer({issuerConfigUrl});
+      result.stale.should.equal(true);
+      result.config.should.equal(issuerConfig1);
+      // no refetch during backoff
+      mockData.issuerConfigRequests.should.equal(before);
+
+      // once reachable, a fresh issuer config is used after backing off
+      mockData.issuerConfigUnavailable = false;
+      await new Promise(r => setTimeout(r, 1100));
+      const {config: issuerConfig2, stale} = await discoverIssuer({
+        issuerConfigUrl
+      });
+      stale.should.equal(false);
+      issuerConfig2.should.not.equal(issuerConfig1);
+    });
+    it('serves a stale issuer config that has not been used', async () => {
+      const {config: issuerConfig1} = await discoverIssuer({issuerConfigUrl});
+
+      // make issuer unreachable and leave the record unused until it expires
+      // (beyond the cache TTL)
+      mockData.issuerConfigUnavailable = true;
+      await new Promise(r => setTimeout(r, 500));
+      const result = await discoverIssuer({issuerConfigUrl});
+      result.stale.should.equal(true);
+      result.config.should.equal(issuerConfig1);
+    });
+    it('fails when stale-if-error is disabled', async () => {
+      issuerConfig.staleIfError = 0;
+      await discoverIssuer({issuerConfigUrl});
+      mockData.issuerConfigUnavailable = true;
+      await _wait(500);
+      let err;
+      let result;
+      try {
+        result = await discoverIssuer({issuerConfigUrl});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.status.should.equal(503);
+    });
+  });
 });
@@ -0,0 +1,190 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  _loadStaticIssuers,
+  _resetIssuerConfigCache,
+  checkAccessToken,
+  discoverIssuer
+} from '@bedrock/oauth2-verifier';
+import {exportJWK, generateKeyPair} from 'jose';
+import {mkdtemp, rm, utimes, writeFile} from 'node:fs/promises';
+import {config} from '@bedrock/core';
+import {join} from 'node:path';
+import {mockData} from './mock.data.js';
+import {tmpdir} from 'node:os';
+
+describe('static issuers', () => {
+  const cfg = config['oauth2-verifier'];
+  const audience = 'test:audience';
+  // not resolvable; any network request would fail
+  const iss = 'https://static-issuer.invalid';
+  const issuerConfigUrl = `${iss}/.well-known/oauth-authorization-server`;
+  let dir;
+  before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'oauth2-verifier-'));
+  });
+  after(async () => {
+    await rm(dir, {recursive: true, force: true});
+  });
+  const {staticIssuerFileCheckInterval} = cfg;
+  afterEach(() => {
+    cfg.staticIssuers = {};
+    cfg.staticIssuerFileCheckInterval = staticIssuerFileCheckInterval;
+    _resetIssuerConfigCache();
+  });
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({issuerConfigUrl, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('passes with inline JWKs', async () => {
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {config: {issuer: iss}, jwks: mockData.jwks}
+    };
+    const jwt = await helpers.getOAuth2AccessToken({audience, iss});
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+    result.payload.iss.should.equal(iss);
+  });
+  it('reloads a JWKs file when it changes', async () => {
+    const path = join(dir, 'jwks.json');
+    const {publicKey} = await generateKeyPair('EdDSA');
+    const otherJwks = {keys: [{...await exportJWK(publicKey), kid: 'other'}]};
+    await writeFile(path, JSON.stringify(otherJwks));
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {config: {issuer: iss}, jwksFile: path}
+    };
+    cfg.staticIssuerFileCheckInterval = 0;
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, iss, kid: mockData.ed25519KeyPair.kid
+    });
+
+    const first = await _check({jwt});
+    should.exist(first.err);
+    first.err.name.should.equal('NotAllowedError');
+    first.err.details.code.should.equal('ERR_JWKS_NO_MATCHING_KEY');
+
+    // replace keys on disk; ensure modification time changes
+    await writeFile(path, JSON.stringify(mockData.jwks));
+    const future = new Date(Date.now() + 10000);
+    await utimes(path, future, future);
+
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('throttles JWKs file checks', async () => {
+    const path = join(dir, 'jwks-throttled.json');
+    await writeFile(path, JSON.stringify(mockData.jwks));
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {config: {issuer: iss}, jwksFile: path}
+    };
+    const first = await discoverIssuer({issuerConfigUrl});
+
+    // change is not seen until the check interval has passed
+    await writeFile(path, JSON.stringify({keys: []}));
+    const future = new Date(Date.now() + 10000);
+    await utimes(path, future, future);
+    const results = await Promise.all([1, 2, 3].map(
+      () => discoverIssuer({issuerConfigUrl})));
+    for(const result of results) {
+      result.jwks.should.equal(first.jwks);
+    }
+  });
+  it('keeps previous JWKs if a changed file cannot be loaded', async () => {
+    const path = join(dir, 'jwks-malformed.json');
+    await writeFile(path, JSON.stringify(mockData.jwks));
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {config: {issuer: iss}, jwksFile: path}
+    };
+    cfg.staticIssuerFileCheckInterval = 0;
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, iss, kid: mockData.ed25519KeyPair.kid
+    });
+    assertNoError((await _check({jwt})).err);
+
+    await writeFile(path, 'not JSON');
+    const future = new Date(Date.now() + 10000);
+    await utimes(path, future, future);
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('validates entries and loads JWKs files when loaded', async () => {
+    const path = join(dir, 'jwks-loaded.json');
+    await writeFile(path, JSON.stringify(mockData.jwks));
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {config: {issuer: iss}, jwksFile: path}
+    };
+    await _loadStaticIssuers();
+    // file is not read again on use
+    await rm(path);
+    let err;
+    let result;
+    try {
+      result = await discoverIssuer({issuerConfigUrl});
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.issuer.should.equal(iss);
+
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {config: {issuer: iss}, jwksFile: ['not a path']}
+    };
+    err = undefined;
+    try {
+      await _loadStaticIssuers();
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('OperationError');
+  });
+  it('fails on an issuer that does not match its config URL', async () => {
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {
+        config: {issuer: 'https://other.example'}, jwks: mockData.jwks
+      }
+    };
+    let err;
+    let result;
+    try {
+      result = await discoverIssuer({issuerConfigUrl});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('OperationError');
+    err.details.expected.should.equal(
+      'https://other.example/.well-known/oauth-authorization-server');
+  });
+  it('fails on a missing JWKs file', async () => {
+    cfg.staticIssuers = {
+      [issuerConfigUrl]: {
+        config: {issuer: iss}, jwksFile: join(dir, 'missing.json')
+      }
+    };
+    let err;
+    let result;
+    try {
+      result = await discoverIssuer({issuerConfigUrl});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('OperationError');
+  });
+});
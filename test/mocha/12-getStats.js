@@ -0,0 +1,123 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  _resetIssuerConfigCache,
+  _resetStats,
+  checkAccessToken,
+  discoverIssuer,
+  getStats
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('getStats', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const events = [];
+
+  function _listener(name) {
+    return data => {
+      events.push({name, data});
+    };
+  }
+  const listeners = {
+    'bedrock-oauth2-verifier.issuerConfig.cacheHit': null,
+    'bedrock-oauth2-verifier.issuerConfig.cacheMiss': null,
+    'bedrock-oauth2-verifier.issuerConfig.fetch': null,
+    'bedrock-oauth2-verifier.issuerConfig.fetchError': null,
+    'bedrock-oauth2-verifier.accessToken.check': null
+  };
+
+  before(() => {
+    for(const name in listeners) {
+      listeners[name] = _listener(name);
+      bedrock.events.on(name, listeners[name]);
+    }
+  });
+  after(() => {
+    for(const name in listeners) {
+      bedrock.events.removeListener(name, listeners[name]);
+    }
+  });
+  beforeEach(() => {
+    _resetIssuerConfigCache();
+    _resetStats();
+    events.length = 0;
+  });
+  afterEach(() => {
+    mockData.issuerConfigUnavailable = false;
+    _resetIssuerConfigCache();
+  });
+
+  it('counts issuer config cache misses, fetches, and hits', async () => {
+    await discoverIssuer({issuerConfigUrl});
+    await discoverIssuer({issuerConfigUrl});
+    const {issuerConfig} = getStats();
+    issuerConfig.cacheMisses.should.equal(1);
+    issuerConfig.fetches.should.equal(1);
+    issuerConfig.cacheHits.should.equal(1);
+    issuerConfig.fetchFailures.should.equal(0);
+    events.map(({name}) => name).should.deep.equal([
+      'bedrock-oauth2-verifier.issuerConfig.cacheMiss',
+      'bedrock-oauth2-verifier.issuerConfig.fetch',
+      'bedrock-oauth2-verifier.issuerConfig.cacheHit'
+    ]);
+    const fetchEvent = events[1].data;
+    fetchEvent.issuerConfigUrl.should.equal(issuerConfigUrl);
+    fetchEvent.trigger.should.equal('miss');
+    fetchEvent.duration.should.be.a('number');
+  });
+  it('counts access token check outcomes', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    await checkAccessToken({issuerConfigUrl, audience, jwt});
+    const expired = await helpers.getOAuth2AccessToken({
+      audience, exp: Math.floor(Date.now() / 1000) - 600
+    });
+    await checkAccessToken({issuerConfigUrl, audience, jwt: expired})
+      .catch(() => {});
+    const {accessToken} = getStats();
+    accessToken.checks.should.equal(2);
+    accessToken.successes.should.equal(1);
+    accessToken.failures.should.equal(1);
+    accessToken.failureCodes.should.deep.equal({ERR_JWT_EXPIRED: 1});
+
+    const checks = events
+      .filter(({name}) => name.endsWith('.accessToken.check'))
+      .map(({data}) => data);
+    checks.should.have.length(2);
+    checks[0].outcome.should.equal('success');
+    checks[0].issuer.should.equal(mockData.oauth2Config.issuer);
+    checks[0].audience.should.equal(audience);
+    checks[1].outcome.should.equal('failure');
+    checks[1].code.should.equal('ERR_JWT_EXPIRED');
+    // tokens are never included
+    const serialized = JSON.stringify(checks);
+    serialized.should.not.include(jwt);
+    serialized.should.not.include(expired);
+  });
+  it('counts rotation failures', async () => {
+    _resetIssuerConfigCache({ttl: 200});
+    await discoverIssuer({issuerConfigUrl});
+    mockData.issuerConfigUnavailable = true;
+    // keep the cache entry in use until the failed rotation is recorded
+    for(let i = 0; i < 30 && getStats().issuerConfig.rotationFailures === 0;
+      ++i) {
+      await new Promise(r => setTimeout(r, 100));
+      await discoverIssuer({issuerConfigUrl}).catch(() => {});
+    }
+    getStats().issuerConfig.rotationFailures.should.equal(1);
+    const fetchError = events.find(({name, data}) =>
+      name.endsWith('.fetchError') && data.trigger === 'rotation');
+    should.exist(fetchError);
+    fetchError.data.error.status.should.equal(503);
+  });
+  it('returns a snapshot', async () => {
+    const stats = getStats();
+    stats.issuerConfig.cacheHits = 100;
+    getStats().issuerConfig.cacheHits.should.equal(0);
+  });
+});
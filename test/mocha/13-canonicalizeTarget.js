@@ -0,0 +1,60 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {canonicalizeTarget} from '@bedrock/oauth2-verifier';
+
+describe('canonicalizeTarget', () => {
+  function _assertInvalid({target, strictPath}) {
+    let err;
+    let result;
+    try {
+      result = canonicalizeTarget({target, strictPath});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('DataError');
+    err.details.httpStatusCode.should.equal(400);
+  }
+
+  it('normalizes the scheme, host, and port', async () => {
+    canonicalizeTarget({target: 'HTTPS://Example.COM:443/Foos'})
+      .should.equal('https://example.com/Foos');
+    canonicalizeTarget({target: 'https://example.com:8443'})
+      .should.equal('https://example.com:8443');
+  });
+  it('normalizes percent-encodings', async () => {
+    canonicalizeTarget({target: '/f%6F%6fs/a%2cb?x=%7e%3d'})
+      .should.equal('/foos/a%2Cb?x=~%3D');
+  });
+  it('removes dot segments and duplicate slashes', async () => {
+    canonicalizeTarget({target: '/foos/./1//bars/../2?a=/../b'})
+      .should.equal('/foos/1/2?a=/../b');
+    canonicalizeTarget({target: '/foos/%2E%2E/admin'}).should.equal('/admin');
+    canonicalizeTarget({target: '/foos/..'}).should.equal('/');
+  });
+  it('rejects dot and empty segments with "strictPath"', async () => {
+    canonicalizeTarget({target: '/F%6Fos/1/?a=/../b', strictPath: true})
+      .should.equal('/Foos/1/?a=/../b');
+    canonicalizeTarget({target: 'https://example.com', strictPath: true})
+      .should.equal('https://example.com');
+    _assertInvalid({target: '/foos/../admin', strictPath: true});
+    _assertInvalid({target: '/foos/%2e%2E/admin', strictPath: true});
+    _assertInvalid({target: '/foos/./1', strictPath: true});
+    _assertInvalid({target: '/foos/.%2e', strictPath: true});
+    _assertInvalid({target: '/foos//1', strictPath: true});
+    _assertInvalid({target: 'https://example.com//foos', strictPath: true});
+  });
+  it('leaves non-hierarchical URIs', async () => {
+    canonicalizeTarget({target: 'urn:example:%7efoo'})
+      .should.equal('urn:example:~foo');
+  });
+  it('rejects ambiguous targets', async () => {
+    _assertInvalid({target: '/foos/../../admin'});
+    _assertInvalid({target: '/foos/1%2F..%2F..%2Fadmin'});
+    _assertInvalid({target: '/foos\\..\\admin'});
+    _assertInvalid({target: '/foos/%zz'});
+    _assertInvalid({target: 'foos'});
+  });
+});
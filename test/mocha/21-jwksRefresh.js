@@ -0,0 +1,79 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  _resetIssuerConfigCache,
+  checkAccessToken,
+  discoverIssuer
+} from '@bedrock/oauth2-verifier';
+import {exportJWK, generateKeyPair} from 'jose';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/rotated issuer keys', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const originalKeys = mockData.jwks.keys;
+  beforeEach(async () => {
+    mockData.jwks.keys = originalKeys;
+    _resetIssuerConfigCache();
+    // ensure issuer config is cached before keys are rotated
+    await discoverIssuer({issuerConfigUrl});
+  });
+  after(() => {
+    mockData.jwks.keys = originalKeys;
+    _resetIssuerConfigCache();
+  });
+
+  // adds a new key to the issuer's JWKs and returns a token signed by it
+  async function _rotateKey({kid}) {
+    const {publicKey, privateKey} = await generateKeyPair('EdDSA');
+    const jwk = {...await exportJWK(publicKey), kid};
+    mockData.jwks.keys = [...mockData.jwks.keys, jwk];
+    return helpers.getOAuth2AccessToken({audience, privateKey, kid});
+  }
+
+  async function _check({jwt}) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({jwt, issuerConfigUrl, audience});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('passes after refreshing JWKs for an unknown "kid"', async () => {
+    const jwt = await _rotateKey({kid: 'rotated-key-1'});
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+    result.protectedHeader.kid.should.equal('rotated-key-1');
+  });
+  it('shares a single refresh across concurrent requests', async () => {
+    const jwt = await _rotateKey({kid: 'rotated-key-2'});
+    const before = mockData.jwksRequests;
+    const results = await Promise.all([1, 2, 3, 4].map(() => _check({jwt})));
+    for(const {err} of results) {
+      assertNoError(err);
+    }
+    mockData.jwksRequests.should.equal(before + 1);
+  });
+  it('does not refresh again during the cooldown', async () => {
+    const jwt1 = await _rotateKey({kid: 'rotated-key-3'});
+    const first = await _check({jwt: jwt1});
+    assertNoError(first.err);
+
+    const jwt2 = await _rotateKey({kid: 'rotated-key-4'});
+    const before = mockData.jwksRequests;
+    const {err, result} = await _check({jwt: jwt2});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_JWKS_NO_MATCHING_KEY');
+    mockData.jwksRequests.should.equal(before);
+  });
+});
@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  _resetRevocationStore,
+  addRevocation,
+  checkAccessToken,
+  createMemoryRevocationStore,
+  setRevocationStore
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+import {randomUUID} from 'node:crypto';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/revocation', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  beforeEach(() => {
+    _resetRevocationStore();
+  });
+  after(() => {
+    _resetRevocationStore();
+  });
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({issuerConfigUrl, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertError({err, result, code, claim}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.code.should.equal(code);
+    err.details.claim.should.equal(claim);
+  }
+
+  it('fails on a revoked "jti"', async () => {
+    const jti = randomUUID();
+    const jwt = await helpers.getOAuth2AccessToken({audience, jti});
+    await addRevocation({jti});
+    const result = await _check({jwt});
+    _assertError({...result, code: 'ERR_TOKEN_REVOKED', claim: 'jti'});
+  });
+  it('fails on a revoked "sub"', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, sub: 'user-1'});
+    await addRevocation({sub: 'user-1'});
+    const result = await _check({jwt});
+    _assertError({...result, code: 'ERR_TOKEN_REVOKED', claim: 'sub'});
+  });
+  it('fails on a revoked "client_id"', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, clientId: 'client-1'
+    });
+    await addRevocation({clientId: 'client-1'});
+    const result = await _check({jwt});
+    _assertError({...result, code: 'ERR_TOKEN_REVOKED', claim: 'client_id'});
+  });
+  it('passes once a revocation has expired', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, sub: 'user-2'});
+    await addRevocation({sub: 'user-2', expires: new Date(Date.now() - 1)});
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('rejects reuse of a single use token', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, jti: randomUUID()
+    });
+    const first = await _check({jwt, singleUse: true});
+    assertNoError(first.err);
+    should.exist(first.result);
+    const result = await _check({jwt, singleUse: true});
+    _assertError({...result, code: 'ERR_TOKEN_REUSED', claim: 'jti'});
+  });
+  it('rejects a single use token without "jti"', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    const result = await _check({jwt, singleUse: true});
+    _assertError({
+      ...result, code: 'ERR_JWT_CLAIM_VALIDATION_FAILED', claim: 'jti'
+    });
+  });
+  it('rejects replays when the used token store is full', async () => {
+    setRevocationStore({store: createMemoryRevocationStore({max: 2})});
+    const jwts = await Promise.all([1, 2, 3].map(
+      () => helpers.getOAuth2AccessToken({audience, jti: randomUUID()})));
+    for(const jwt of jwts.slice(0, 2)) {
+      assertNoError((await _check({jwt, singleUse: true})).err);
+    }
+
+    // store is full; a new token is rejected (fail closed)...
+    const {err, result} = await _check({jwt: jwts[2], singleUse: true});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('QuotaExceededError');
+    err.details.httpStatusCode.should.equal(503);
+    // ...and used tokens are not evicted, so replays are still rejected
+    for(const jwt of jwts.slice(0, 2)) {
+      const result = await _check({jwt, singleUse: true});
+      _assertError({...result, code: 'ERR_TOKEN_REUSED', claim: 'jti'});
+    }
+  });
+  it('removes expired used tokens when the store is full', async () => {
+    const store = createMemoryRevocationStore({max: 1});
+    const iss = mockData.oauth2Config.issuer;
+    (await store.markUsed({
+      jti: 'expired', iss, expires: new Date(Date.now() - 1)
+    })).should.equal(true);
+    (await store.markUsed({
+      jti: 'new', iss, expires: new Date(Date.now() + 60000)
+    })).should.equal(true);
+    (await store.markUsed({jti: 'new', iss})).should.equal(false);
+  });
+  it('uses a custom revocation store', async () => {
+    const memoryStore = createMemoryRevocationStore();
+    const calls = [];
+    setRevocationStore({
+      store: {
+        ...memoryStore,
+        async isRevoked(options) {
+          calls.push(options);
+          return memoryStore.isRevoked(options);
+        }
+      }
+    });
+    const jwt = await helpers.getOAuth2AccessToken({audience, sub: 'user-3'});
+    await addRevocation({sub: 'user-3'});
+    const result = await _check({jwt});
+    _assertError({...result, code: 'ERR_TOKEN_REVOKED', claim: 'sub'});
+    calls.should.deep.include({claim: 'sub', value: 'user-3'});
+  });
+});
@@ -0,0 +1,175 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  _resetAuthorizationDetailsTypes,
+  checkAuthorizationDetails,
+  registerAuthorizationDetailsType
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAuthorizationDetails', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const {host} = new URL(baseUrl);
+  const accountDetail = {
+    type: 'account_information',
+    actions: ['read', 'list'],
+    locations: [`${baseUrl}/accounts`],
+    datatypes: ['balances']
+  };
+  afterEach(() => {
+    _resetAuthorizationDetailsTypes();
+  });
+
+  async function _check({
+    authorizationDetails, authorizationDetail, method, originalUrl
+  }) {
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience, authorizationDetails
+    });
+    const req = helpers.createRequest({accessToken, method, originalUrl});
+    const getExpectedValues = () => ({
+      host, rootInvocationTarget: baseUrl, authorizationDetail
+    });
+    let err;
+    let result;
+    try {
+      result = await checkAuthorizationDetails({
+        req, issuerConfigUrl, getExpectedValues, audience
+      });
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertDetailsError({err, result}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.claim.should.equal('authorization_details');
+  }
+
+  it('returns the matching authorization detail', async () => {
+    const otherDetail = {type: 'payment_initiation', actions: ['read']};
+    const {err, result} = await _check({
+      authorizationDetails: [otherDetail, accountDetail],
+      authorizationDetail: {
+        type: 'account_information', datatypes: ['balances']
+      },
+      originalUrl: '/accounts/1'
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.authorizationDetail.should.deep.equal(accountDetail);
+    should.not.exist(result.scope);
+  });
+  it('falls back to scope without "authorization_details"', async () => {
+    const {err, result} = await _check({
+      authorizationDetail: {type: 'account_information'},
+      originalUrl: '/accounts/1'
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.scope.should.equal('read:/');
+    should.not.exist(result.authorizationDetail);
+  });
+  it('fails on a mismatched "type"', async () => {
+    const result = await _check({
+      authorizationDetails: [accountDetail],
+      authorizationDetail: {type: 'payment_initiation'},
+      originalUrl: '/accounts/1'
+    });
+    _assertDetailsError(result);
+  });
+  it('fails on a missing action', async () => {
+    // `POST` requires the default "write" action
+    const result = await _check({
+      authorizationDetails: [accountDetail],
+      authorizationDetail: {type: 'account_information'},
+      method: 'POST',
+      originalUrl: '/accounts/1'
+    });
+    _assertDetailsError(result);
+  });
+  it('fails on a location outside of the detail\'s "locations"', async () => {
+    const result = await _check({
+      authorizationDetails: [accountDetail],
+      authorizationDetail: {type: 'account_information'},
+      originalUrl: '/accountsfoo'
+    });
+    _assertDetailsError(result);
+  });
+  it('matches canonicalized "locations"', async () => {
+    const {protocol, host} = new URL(baseUrl);
+    const detail = {
+      ...accountDetail,
+      locations: [`${protocol.toUpperCase()}//${host.toUpperCase()}/%61ccounts`]
+    };
+    const {err, result} = await _check({
+      authorizationDetails: [detail],
+      authorizationDetail: {type: 'account_information'},
+      originalUrl: '/accounts/1'
+    });
+    assertNoError(err);
+    result.authorizationDetail.should.deep.equal(detail);
+
+    // expected locations are also canonicalized
+    const {err: err2, result: result2} = await _check({
+      authorizationDetails: [{
+        ...accountDetail, locations: ['https://example.com/accounts']
+      }],
+      authorizationDetail: {
+        type: 'account_information',
+        locations: ['HTTPS://Example.com:443/accounts/./1']
+      },
+      originalUrl: '/accounts/1'
+    });
+    assertNoError(err2);
+    should.exist(result2.authorizationDetail);
+  });
+  it('fails on a missing datatype', async () => {
+    const result = await _check({
+      authorizationDetails: [accountDetail],
+      authorizationDetail: {
+        type: 'account_information', datatypes: ['transactions']
+      },
+      originalUrl: '/accounts/1'
+    });
+    _assertDetailsError(result);
+  });
+  it('applies a registered predicate for a "type"', async () => {
+    registerAuthorizationDetailsType({
+      type: 'payment_initiation',
+      matches({detail, expected}) {
+        return detail.instructedAmount.amount <= expected.maxAmount;
+      }
+    });
+    const detail = {
+      type: 'payment_initiation',
+      actions: ['write'],
+      instructedAmount: {currency: 'EUR', amount: 100}
+    };
+    const allowed = await _check({
+      authorizationDetails: [detail],
+      authorizationDetail: {type: 'payment_initiation', maxAmount: 200},
+      method: 'POST',
+      originalUrl: '/payments'
+    });
+    assertNoError(allowed.err);
+    allowed.result.authorizationDetail.should.deep.equal(detail);
+
+    const denied = await _check({
+      authorizationDetails: [detail],
+      authorizationDetail: {type: 'payment_initiation', maxAmount: 50},
+      method: 'POST',
+      originalUrl: '/payments'
+    });
+    _assertDetailsError(denied);
+  });
+});
@@ -0,0 +1,100 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  checkAccessToken,
+  checkTargetScopedAccessToken,
+  getBearerChallenge
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/step-up authentication', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const acrValues = ['urn:example:mfa', 'urn:example:hwk'];
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({issuerConfigUrl, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertError({err, result, claim}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_INSUFFICIENT_USER_AUTHENTICATION');
+    err.details.claim.should.equal(claim);
+  }
+
+  it('passes when requirements are met', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, acr: 'urn:example:hwk',
+      authTime: Math.floor(Date.now() / 1000) - 60
+    });
+    const {err, result} = await _check({jwt, acrValues, maxAuthAge: 600});
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('fails on an insufficient "acr" claim', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, acr: 'urn:example:password'
+    });
+    const result = await _check({jwt, acrValues});
+    _assertError({...result, claim: 'acr'});
+    result.err.details.acrValues.should.equal(
+      'urn:example:mfa urn:example:hwk');
+  });
+  it('fails on an old "auth_time" claim', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, authTime: Math.floor(Date.now() / 1000) - 3600
+    });
+    const result = await _check({jwt, maxAuthAge: 600});
+    _assertError({...result, claim: 'auth_time'});
+    result.err.details.maxAge.should.equal(600);
+  });
+  it('fails on a missing "auth_time" claim', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    const result = await _check({jwt, maxAuthAge: 600});
+    _assertError({...result, claim: 'auth_time'});
+  });
+  it('maps to an "insufficient_user_authentication" challenge', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    const {err} = await _check({jwt, acrValues, maxAuthAge: 600});
+    const challenge = getBearerChallenge({error: err, realm: 'example'});
+    should.exist(challenge);
+    challenge.httpStatusCode.should.equal(401);
+    challenge.header.should.equal(
+      'Bearer realm="example", error="insufficient_user_authentication", ' +
+      'error_description="Access token \'acr\' is insufficient.", ' +
+      'acr_values="urn:example:mfa urn:example:hwk", max_age="600"');
+  });
+  it('uses requirements from expected values', async () => {
+    const {host} = new URL(baseUrl);
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience, acr: 'urn:example:password'
+    });
+    const req = helpers.createRequest({accessToken});
+    let err;
+    let result;
+    try {
+      result = await checkTargetScopedAccessToken({
+        req, issuerConfigUrl, audience,
+        getExpectedValues: () => ({
+          host, rootInvocationTarget: baseUrl, acrValues
+        })
+      });
+    } catch(e) {
+      err = e;
+    }
+    _assertError({err, result, claim: 'acr'});
+  });
+});
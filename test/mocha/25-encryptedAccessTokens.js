@@ -0,0 +1,157 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {CompactEncrypt, exportJWK, generateKeyPair} from 'jose';
+import {checkAccessToken} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/encrypted access tokens', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const kid = 'enc-key-1';
+  let keyPair;
+
+  before(async () => {
+    keyPair = await generateKeyPair('ECDH-ES', {
+      crv: 'X25519', extractable: true
+    });
+    const privateJwk = await exportJWK(keyPair.privateKey);
+    bedrock.config['oauth2-verifier'].encryptedAccessTokens.decryptionKeys = {
+      [audience]: {keys: [{...privateJwk, kid}]}
+    };
+  });
+  after(() => {
+    bedrock.config['oauth2-verifier'].encryptedAccessTokens
+      .decryptionKeys = {};
+  });
+
+  async function _encrypt({
+    jwt, publicKey = keyPair.publicKey,
+    alg = 'ECDH-ES+A256KW', enc = 'A256GCM', cty = 'JWT'
+  }) {
+    return new CompactEncrypt(new TextEncoder().encode(jwt))
+      .setProtectedHeader({alg, enc, cty, kid})
+      .encrypt(publicKey);
+  }
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({issuerConfigUrl, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertError({err, result, code}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal(code);
+  }
+
+  it('passes with a nested JWT', async () => {
+    const jwt = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({audience})
+    });
+    jwt.split('.').should.have.length(5);
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+    result.payload.aud.should.equal(audience);
+  });
+  it('passes with a nested JWT sent in a request', async () => {
+    const accessToken = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({audience})
+    });
+    const req = helpers.createRequest({accessToken});
+    const {err, result} = await _check({req});
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('checks the inner JWT claims', async () => {
+    const jwt = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({
+        audience, exp: Math.floor(Date.now() / 1000) - 600
+      })
+    });
+    _assertError({...await _check({jwt}), code: 'ERR_JWT_EXPIRED'});
+  });
+  it('fails with the wrong decryption key', async () => {
+    const {publicKey} = await generateKeyPair('ECDH-ES', {crv: 'X25519'});
+    const jwt = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({audience}), publicKey
+    });
+    _assertError({...await _check({jwt}), code: 'ERR_JWE_DECRYPTION_FAILED'});
+  });
+  it('fails with a disallowed "enc"', async () => {
+    const jwt = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({audience}),
+      enc: 'A128CBC-HS256'
+    });
+    _assertError({...await _check({jwt}), code: 'ERR_JWE_DECRYPTION_FAILED'});
+  });
+  it('fails without a "JWT" "cty" header', async () => {
+    const jwt = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({audience}), cty: 'json'
+    });
+    _assertError({...await _check({jwt}), code: 'ERR_JWE_DECRYPTION_FAILED'});
+  });
+  it('fails for an audience without decryption keys', async () => {
+    const otherAudience = 'test:other';
+    const jwt = await _encrypt({
+      jwt: await helpers.getOAuth2AccessToken({audience: otherAudience})
+    });
+    _assertError({
+      ...await _check({jwt, audience: otherAudience}),
+      code: 'ERR_JWE_DECRYPTION_FAILED'
+    });
+  });
+  describe('w/trusted issuers', () => {
+    const trustedIssuers = {
+      [mockData.oauth2Config.issuer]: {issuerConfigUrl, audience}
+    };
+    it('passes with the audience from a trusted issuer', async () => {
+      const jwt = await _encrypt({
+        jwt: await helpers.getOAuth2AccessToken({audience})
+      });
+      let err;
+      let result;
+      try {
+        result = await checkAccessToken({jwt, trustedIssuers});
+      } catch(e) {
+        err = e;
+      }
+      assertNoError(err);
+      should.exist(result);
+      result.payload.aud.should.equal(audience);
+    });
+    it('fails if encrypted for another audience', async () => {
+      const otherAudience = 'test:other';
+      const jwt = await _encrypt({
+        jwt: await helpers.getOAuth2AccessToken({audience: otherAudience})
+      });
+      let err;
+      let result;
+      try {
+        result = await checkAccessToken({
+          jwt, trustedIssuers: {
+            [mockData.oauth2Config.issuer]: {
+              issuerConfigUrl, audience: otherAudience
+            }
+          }
+        });
+      } catch(e) {
+        err = e;
+      }
+      _assertError({err, result, code: 'ERR_JWE_DECRYPTION_FAILED'});
+      err.details.reason.should.include('expected audience');
+    });
+  });
+});
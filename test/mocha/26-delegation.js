@@ -0,0 +1,141 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  checkAccessToken,
+  checkAuthorizationDetails
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/delegation', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const act = {
+    sub: 'service-a', client_id: 'client-a',
+    act: {sub: 'service-b'}
+  };
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({issuerConfigUrl, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertError({err, result}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_JWT_CLAIM_VALIDATION_FAILED');
+    err.details.claim.should.equal('act');
+  }
+
+  it('returns the actor chain', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, sub: 'user-1', act
+    });
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+    result.actorChain.should.deep.equal([
+      {sub: 'service-a', client_id: 'client-a'},
+      {sub: 'service-b'}
+    ]);
+  });
+  it('returns an empty actor chain when not delegated', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    result.actorChain.should.deep.equal([]);
+  });
+  it('passes with allowed actors', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, act});
+    const {err, result} = await _check({
+      jwt,
+      delegation: {
+        maxDepth: 2,
+        actors: [{sub: ['service-a'], clientId: ['client-a']}]
+      }
+    });
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('fails when delegation is not allowed', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, act});
+    _assertError(await _check({jwt, delegation: {allowed: false}}));
+  });
+  it('fails when the chain is too long', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, act});
+    _assertError(await _check({jwt, delegation: {maxDepth: 1}}));
+  });
+  it('fails with a disallowed actor', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, act});
+    _assertError(await _check({
+      jwt, delegation: {actors: [{}, {sub: ['service-c']}]}
+    }));
+  });
+  it('throws on actors that are not arrays of strings', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, act: {sub: 'admin', client_id: 'svc'}
+    });
+    for(const actor of [{sub: 'svc-admin'}, {clientId: 'svc-client'}]) {
+      const {err, result} = await _check({
+        jwt, delegation: {actors: [actor]}
+      });
+      should.exist(err);
+      should.not.exist(result);
+      err.name.should.equal('TypeError');
+    }
+  });
+  it('checks the current actor against "may_act"', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, act, mayAct: {sub: 'service-a', client_id: 'client-a'}
+    });
+    const {err, result} = await _check({jwt});
+    assertNoError(err);
+    should.exist(result);
+
+    const jwt2 = await helpers.getOAuth2AccessToken({
+      audience, act, mayAct: {sub: 'service-c'}
+    });
+    const result2 = await _check({jwt: jwt2});
+    should.exist(result2.err);
+    should.not.exist(result2.result);
+    result2.err.name.should.equal('NotAllowedError');
+    result2.err.details.code.should.equal('ERR_JWT_CLAIM_VALIDATION_FAILED');
+    result2.err.details.claim.should.equal('may_act');
+  });
+  it('fails with a malformed "act" claim', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, act: 'service-a'
+    });
+    _assertError(await _check({jwt}));
+  });
+  it('uses requirements from expected values', async () => {
+    const {host} = new URL(baseUrl);
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience: baseUrl, act
+    });
+    const req = helpers.createRequest({accessToken});
+    const getExpectedValues = () => ({
+      host, rootInvocationTarget: baseUrl, delegation: {allowed: false}
+    });
+    let err;
+    let result;
+    try {
+      result = await checkAuthorizationDetails({
+        req, issuerConfigUrl, getExpectedValues
+      });
+    } catch(e) {
+      err = e;
+    }
+    _assertError({err, result});
+  });
+});
@@ -0,0 +1,153 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  checkAccessToken,
+  getAccessTokenFromRequest
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/tokenSources', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const formHeaders = {'content-type': 'application/x-www-form-urlencoded'};
+  let accessToken;
+
+  before(async () => {
+    accessToken = await helpers.getOAuth2AccessToken({audience});
+  });
+  afterEach(() => {
+    bedrock.config['oauth2-verifier'].tokenSources = ['header'];
+  });
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({issuerConfigUrl, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertInvalidRequest({err, result}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_INVALID_REQUEST');
+  }
+
+  it('reads the access token from the header by default', async () => {
+    const req = helpers.createRequest({accessToken});
+    const {err, result} = await _check({req});
+    assertNoError(err);
+    should.exist(result);
+    result.tokenSource.should.equal('header');
+  });
+  it('ignores other sources by default', async () => {
+    const req = helpers.createRequest({
+      originalUrl: `/?access_token=${accessToken}`
+    });
+    const {err, result} = await _check({req});
+    should.exist(err);
+    should.not.exist(result);
+    err.details.code.should.equal('ERR_ACCESS_TOKEN_MISSING');
+  });
+  it('reads the access token from a form body', async () => {
+    const req = helpers.createRequest({
+      method: 'POST', headers: formHeaders,
+      body: {access_token: accessToken}
+    });
+    const {err, result} = await _check({
+      req, tokenSources: ['header', 'body']
+    });
+    assertNoError(err);
+    result.tokenSource.should.equal('body');
+  });
+  it('reads the access token from the query', async () => {
+    const req = helpers.createRequest({
+      originalUrl: `/foo?bar=baz&access_token=${accessToken}`
+    });
+    const {err, result} = await _check({req, tokenSources: ['query']});
+    assertNoError(err);
+    result.tokenSource.should.equal('query');
+  });
+  it('reads the access token from a cookie', async () => {
+    const req = helpers.createRequest({
+      headers: {cookie: `foo=bar; at=${accessToken}`}
+    });
+    const {err, result} = await _check({
+      req, tokenSources: ['header', {cookie: 'at'}]
+    });
+    assertNoError(err);
+    result.tokenSource.should.equal('cookie');
+  });
+  it('uses the "tokenSources" config', async () => {
+    bedrock.config['oauth2-verifier'].tokenSources = ['query'];
+    const req = helpers.createRequest({
+      originalUrl: `/?access_token=${accessToken}`
+    });
+    const {err, result} = await _check({req});
+    assertNoError(err);
+    result.tokenSource.should.equal('query');
+  });
+  it('fails with more than one access token', async () => {
+    const req = helpers.createRequest({
+      accessToken, originalUrl: `/?access_token=${accessToken}`
+    });
+    _assertInvalidRequest(await _check({
+      req, tokenSources: ['header', 'query']
+    }));
+  });
+  it('fails with more than one query access token', async () => {
+    const req = helpers.createRequest({
+      originalUrl: `/?access_token=${accessToken}&access_token=x`
+    });
+    _assertInvalidRequest(await _check({req, tokenSources: ['query']}));
+  });
+  it('fails with a form body access token in a GET request', async () => {
+    const req = helpers.createRequest({
+      headers: formHeaders, body: {access_token: accessToken}
+    });
+    _assertInvalidRequest(await _check({req, tokenSources: ['body']}));
+  });
+  it('fails with a non-form body access token', async () => {
+    const req = helpers.createRequest({
+      method: 'POST', headers: {'content-type': 'application/json'},
+      body: {access_token: accessToken}
+    });
+    _assertInvalidRequest(await _check({req, tokenSources: ['body']}));
+  });
+  it('only reads DPoP-bound access tokens from the header', async () => {
+    const req = helpers.createRequest({
+      originalUrl: `/?access_token=${accessToken}`
+    });
+    let err;
+    try {
+      getAccessTokenFromRequest({
+        req, sources: ['header', 'query'], dpop: 'required'
+      });
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_ACCESS_TOKEN_MISSING');
+  });
+  it('throws with invalid sources', async () => {
+    const req = helpers.createRequest({});
+    let err;
+    try {
+      getAccessTokenFromRequest({req, sources: ['header', {cookie: ''}]});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
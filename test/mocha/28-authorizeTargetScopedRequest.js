@@ -0,0 +1,184 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {authorizeTargetScopedRequest} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('authorizeTargetScopedRequest', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const {host} = new URL(baseUrl);
+
+  async function _authorize({
+    scope, authorizationDetails, expected = {}, method, originalUrl,
+    options = {}
+  }) {
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience, scope, authorizationDetails
+    });
+    const req = helpers.createRequest({accessToken, method, originalUrl});
+    const getExpectedValues = () => ({
+      host, rootInvocationTarget: baseUrl, ...expected
+    });
+    let err;
+    let result;
+    try {
+      result = await authorizeTargetScopedRequest({
+        req, issuerConfigUrl, getExpectedValues, audience, ...options
+      });
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('returns a decision for a matching scope', async () => {
+    const {err, result} = await _authorize({
+      scope: 'write:/bars read:/foos',
+      originalUrl: '/foos/1/bars?x=1'
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.allowed.should.equal(true);
+    result.payload.scope.should.equal('write:/bars read:/foos');
+    result.protectedHeader.alg.should.be.a('string');
+    result.actorChain.should.deep.equal([]);
+    result.tokenSource.should.equal('header');
+    result.action.should.equal('read');
+    result.target.should.equal(`${baseUrl}/foos/1/bars?x=1`);
+    result.rootInvocationTarget.should.equal(baseUrl);
+    result.path.should.equal('/foos/1/bars?x=1');
+    result.scope.should.equal('read:/foos');
+    result.remainingPath.should.equal('/1/bars?x=1');
+    should.not.exist(result.authorizationDetail);
+  });
+  it('returns the whole path as remaining for a root scope', async () => {
+    const {err, result} = await _authorize({
+      scope: 'write:/', method: 'POST', originalUrl: '/foos/1'
+    });
+    assertNoError(err);
+    result.action.should.equal('write');
+    result.scope.should.equal('write:/');
+    result.remainingPath.should.equal('/foos/1');
+  });
+  it('uses the expected "action" and "target"', async () => {
+    const {err, result} = await _authorize({
+      scope: 'list:/foos',
+      expected: {action: 'list', target: `${baseUrl}/foos`},
+      originalUrl: '/foos/1'
+    });
+    assertNoError(err);
+    result.action.should.equal('list');
+    result.target.should.equal(`${baseUrl}/foos`);
+    result.path.should.equal('/foos');
+    result.remainingPath.should.equal('');
+  });
+  it('excludes a query access token from the target', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience, scope: 'read:/foos?x=1'
+    });
+    const req = helpers.createRequest({
+      originalUrl: `/foos?x=1&access_token=${accessToken}`
+    });
+    const getExpectedValues = () => ({host, rootInvocationTarget: baseUrl});
+    let err;
+    let result;
+    try {
+      result = await authorizeTargetScopedRequest({
+        req, issuerConfigUrl, getExpectedValues, audience,
+        tokenSources: ['query']
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    result.tokenSource.should.equal('query');
+    result.target.should.equal(`${baseUrl}/foos?x=1`);
+    result.path.should.equal('/foos?x=1');
+    result.scope.should.equal('read:/foos?x=1');
+    result.remainingPath.should.equal('');
+  });
+  it('returns a decision for a matching authorization detail', async () => {
+    const detail = {
+      type: 'account_information',
+      actions: ['read'],
+      locations: [`${baseUrl}/accounts`]
+    };
+    const {err, result} = await _authorize({
+      authorizationDetails: [detail],
+      expected: {authorizationDetail: {type: 'account_information'}},
+      originalUrl: '/accounts/1'
+    });
+    assertNoError(err);
+    result.allowed.should.equal(true);
+    result.authorizationDetail.should.deep.equal(detail);
+    result.path.should.equal('/accounts/1');
+    should.not.exist(result.scope);
+    should.not.exist(result.remainingPath);
+  });
+  it('fails with an insufficient scope', async () => {
+    const {err, result} = await _authorize({
+      scope: 'read:/bars', originalUrl: '/foos'
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('scope');
+  });
+  it('matches canonicalized targets', async () => {
+    const {err, result} = await _authorize({
+      scope: 'read:/F%6Fos/./1', originalUrl: '/Foos/%31/bars'
+    });
+    assertNoError(err);
+    result.path.should.equal('/Foos/1/bars');
+    result.scope.should.equal('read:/F%6Fos/./1');
+    result.remainingPath.should.equal('/bars');
+  });
+  it('rejects dot and empty segments in the target', async () => {
+    const originalUrls = [
+      '/foos/../admin', '/foos/%2e%2e/admin', '/foos;/../admin',
+      '/admin/../foos/1', '/foos/./1', '/foos//1'
+    ];
+    for(const originalUrl of originalUrls) {
+      const {err, result} = await _authorize({
+        scope: 'read:/foos read:/admin', originalUrl
+      });
+      should.exist(err, originalUrl);
+      should.not.exist(result);
+      err.name.should.equal('NotAllowedError');
+      err.details.code.should.equal('ERR_INVALID_REQUEST');
+    }
+  });
+  it('rejects an ambiguous target', async () => {
+    const {err, result} = await _authorize({
+      scope: 'read:/', originalUrl: '/foos/..%2F..%2Fadmin'
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_INVALID_REQUEST');
+  });
+  it('matches query parameters in any order if allowed', async () => {
+    const scope = 'read:/foos?b=2&a=1';
+    const originalUrl = '/foos?a=1&c=3&b=2';
+    const {err} = await _authorize({scope, originalUrl});
+    should.exist(err);
+    err.details.claim.should.equal('scope');
+
+    const {err: err2, result} = await _authorize({
+      scope, originalUrl, options: {unorderedQuery: true}
+    });
+    assertNoError(err2);
+    result.scope.should.equal(scope);
+    result.remainingPath.should.equal('&c=3');
+
+    // all scope query parameters are required
+    const {err: err3} = await _authorize({
+      scope, originalUrl: '/foos?a=1', options: {unorderedQuery: true}
+    });
+    should.exist(err3);
+  });
+});
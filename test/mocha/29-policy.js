@@ -0,0 +1,218 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  authorizeTargetScopedRequest,
+  compilePolicy,
+  explainPolicy
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('route-to-scope policy', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const {host} = new URL(baseUrl);
+  const policy = {
+    rules: [
+      {path: '/health', methods: ['GET'], public: true},
+      {path: '/admin/**', methods: ['POST'], scopes: ['admin:/']},
+      {
+        path: '/reports', methods: ['GET'],
+        scopes: ['read:/reports', 'audit:/']
+      },
+      {
+        path: '/dav/*', actions: {PROPFIND: 'read', MKCOL: 'write'},
+        audience: 'dav:audience'
+      },
+      {path: '/**', methods: ['GET', 'POST']}
+    ]
+  };
+
+  afterEach(() => {
+    bedrock.config['oauth2-verifier'].policy = null;
+  });
+
+  async function _authorize({
+    scope, method = 'GET', originalUrl, tokenAudience = audience
+  }) {
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience: tokenAudience, scope
+    });
+    const req = helpers.createRequest({accessToken, method, originalUrl});
+    const getExpectedValues = () => ({host, rootInvocationTarget: baseUrl});
+    let err;
+    let result;
+    try {
+      result = await authorizeTargetScopedRequest({
+        req, issuerConfigUrl, getExpectedValues, audience, policy
+      });
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertScopeError({err, result}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.claim.should.equal('scope');
+  }
+
+  it('allows a request to a public route without a token', async () => {
+    const req = helpers.createRequest({originalUrl: '/health'});
+    const result = await authorizeTargetScopedRequest({
+      req, issuerConfigUrl, audience, policy,
+      getExpectedValues: () => ({host, rootInvocationTarget: baseUrl})
+    });
+    result.allowed.should.equal(true);
+    result.public.should.equal(true);
+    result.ruleIndex.should.equal(0);
+    should.not.exist(result.payload);
+  });
+  it('requires a rule scope', async () => {
+    const {err, result} = await _authorize({
+      scope: 'admin:/', method: 'POST', originalUrl: '/admin/users/1'
+    });
+    assertNoError(err);
+    result.ruleIndex.should.equal(1);
+    result.scope.should.equal('admin:/');
+
+    _assertScopeError(await _authorize({
+      scope: 'write:/', method: 'POST', originalUrl: '/admin/users/1'
+    }));
+  });
+  it('accepts any one of the rule scopes', async () => {
+    const {err, result} = await _authorize({
+      scope: 'audit:/', originalUrl: '/reports?year=2026'
+    });
+    assertNoError(err);
+    result.ruleIndex.should.equal(2);
+    result.scope.should.equal('audit:/');
+
+    const {err: err2, result: result2} = await _authorize({
+      scope: 'read:/', originalUrl: '/reports'
+    });
+    assertNoError(err2);
+    result2.scope.should.equal('read:/');
+  });
+  it('uses rule actions and audience', async () => {
+    const {err, result} = await _authorize({
+      scope: 'read:/dav', method: 'PROPFIND', originalUrl: '/dav/file',
+      tokenAudience: 'dav:audience'
+    });
+    assertNoError(err);
+    result.ruleIndex.should.equal(3);
+    result.action.should.equal('read');
+
+    // token for the default audience is rejected
+    const {err: err2} = await _authorize({
+      scope: 'read:/dav', method: 'PROPFIND', originalUrl: '/dav/file'
+    });
+    should.exist(err2);
+    err2.details.code.should.equal('ERR_JWT_CLAIM_VALIDATION_FAILED');
+    err2.details.claim.should.equal('aud');
+  });
+  it('checks the expected target when a rule has no scopes', async () => {
+    const {err, result} = await _authorize({
+      scope: 'read:/foos', originalUrl: '/foos/1'
+    });
+    assertNoError(err);
+    result.ruleIndex.should.equal(4);
+    result.scope.should.equal('read:/foos');
+    result.remainingPath.should.equal('/1');
+  });
+  it('rejects a request that no rule matches', async () => {
+    _assertScopeError(await _authorize({
+      scope: 'write:/', method: 'DELETE', originalUrl: '/foos/1'
+    }));
+  });
+  it('uses the "policy" config', async () => {
+    bedrock.config['oauth2-verifier'].policy = {
+      rules: [{path: '/**', public: true}]
+    };
+    const req = helpers.createRequest({originalUrl: '/foos'});
+    const result = await authorizeTargetScopedRequest({
+      req, issuerConfigUrl, audience,
+      getExpectedValues: () => ({host, rootInvocationTarget: baseUrl})
+    });
+    result.public.should.equal(true);
+  });
+
+  describe('compilePolicy', () => {
+    it('compiles a JSON policy', async () => {
+      const compiled = compilePolicy({policy: JSON.stringify(policy)});
+      compiled.rules.should.have.length(5);
+      compilePolicy({policy: compiled}).should.equal(compiled);
+    });
+    it('throws on an invalid rule', async () => {
+      let err;
+      try {
+        compilePolicy({policy: {rules: [{path: '/foo', scope: ['read:/']}]}});
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      err.name.should.equal('TypeError');
+      err.message.should.include('unknown property "scope"');
+    });
+  });
+
+  describe('explainPolicy', () => {
+    it('explains which rule applies', async () => {
+      const result = explainPolicy({
+        policy, method: 'GET', path: '/reports?year=2026', scope: 'read:/'
+      });
+      result.should.deep.equal({
+        matched: true,
+        ruleIndex: 2,
+        rule: policy.rules[2],
+        public: false,
+        action: 'read',
+        requiredScopes: ['read:/reports', 'audit:/'],
+        allowed: true,
+        grantedBy: 'read:/'
+      });
+    });
+    it('explains a default rule', async () => {
+      const result = explainPolicy({
+        policy, method: 'POST', path: '/foos/1', scope: 'read:/'
+      });
+      result.ruleIndex.should.equal(4);
+      result.requiredScopes.should.deep.equal(['write:/foos/1']);
+      result.allowed.should.equal(false);
+    });
+    it('explains a custom action and audience', async () => {
+      const result = explainPolicy({
+        policy, method: 'MKCOL', path: '/dav/new'
+      });
+      result.ruleIndex.should.equal(3);
+      result.action.should.equal('write');
+      result.audience.should.equal('dav:audience');
+      should.not.exist(result.allowed);
+    });
+    it('explains when no rule matches', async () => {
+      explainPolicy({policy, method: 'DELETE', path: '/foos'})
+        .should.deep.equal({matched: false});
+    });
+    it('rejects a path with dot segments', async () => {
+      let err;
+      let result;
+      try {
+        result = explainPolicy({
+          policy, method: 'GET', path: '/reports/../admin'
+        });
+      } catch(e) {
+        err = e;
+      }
+      should.exist(err);
+      should.not.exist(result);
+      err.name.should.equal('DataError');
+    });
+  });
+});
@@ -1,8 +1,21 @@
 /*!
- * Copyright (c) 2022-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as helpers from './helpers.js';
-import {getBasicAuthorizationCredentials} from '@bedrock/oauth2-verifier';
+import {
+  getBasicAuthorizationCredentials,
+  getClientCredentials
+} from '@bedrock/oauth2-verifier';
+
+function _createBasicRequest({value, body}) {
+  return helpers.createRequest({
+    headers: {authorization: `Basic ${value}`}, body
+  });
+}
+
+function _toBase64(value) {
+  return Buffer.from(value).toString('base64');
+}
 
 describe('getBasicAuthorizationCredentials', () => {
   // see: https://datatracker.ietf.org/doc/html/rfc7617#section-2
@@ -38,4 +51,132 @@ describe('getBasicAuthorizationCredentials', () => {
     err.message.should.equal('Missing or invalid "Authorization" header.');
     err.details.httpStatusCode.should.equal(400);
   });
+  describe('strict mode', () => {
+    function _parse(options) {
+      let err;
+      let result;
+      try {
+        result = getBasicAuthorizationCredentials({strict: true, ...options});
+      } catch(e) {
+        err = e;
+      }
+      return {err, result};
+    }
+
+    function _assertParseError({err, result}) {
+      should.exist(err);
+      should.not.exist(result);
+      err.name.should.equal('DataError');
+      err.message.should.equal(
+        'Could not parse "Authorization" header value.');
+      err.details.httpStatusCode.should.equal(400);
+    }
+
+    it('parses UTF-8 credentials', async () => {
+      const req = _createBasicRequest({value: _toBase64('test:123\u00a3')});
+      const {err, result} = _parse({req});
+      assertNoError(err);
+      result.credentials.should.deep.equal(
+        {userId: 'test', password: '123\u00a3'});
+    });
+    it('form decodes credentials', async () => {
+      const req = _createBasicRequest({
+        value: _toBase64('client%2B1:secret+with%20spaces%3A')
+      });
+      const {err, result} = _parse({req, formDecode: true});
+      assertNoError(err);
+      result.credentials.should.deep.equal(
+        {userId: 'client+1', password: 'secret with spaces:'});
+    });
+    it('fails on invalid base64', async () => {
+      _assertParseError(_parse({req: _createBasicRequest({value: 'a*b='})}));
+      _assertParseError(_parse({req: _createBasicRequest({value: 'abc'})}));
+    });
+    it('fails on invalid UTF-8', async () => {
+      const value = Buffer.from([0x61, 0x3a, 0xff]).toString('base64');
+      _assertParseError(_parse({req: _createBasicRequest({value})}));
+    });
+    it('fails on control characters', async () => {
+      const value = _toBase64('test:12\n3');
+      _assertParseError(_parse({req: _createBasicRequest({value})}));
+    });
+    it('fails on a user ID with a colon', async () => {
+      const value = _toBase64('test%3A1:123');
+      _assertParseError(_parse({
+        req: _createBasicRequest({value}), formDecode: true
+      }));
+    });
+    it('fails on invalid form encoding', async () => {
+      const value = _toBase64('test:%E0%A4%A');
+      _assertParseError(_parse({
+        req: _createBasicRequest({value}), formDecode: true
+      }));
+    });
+  });
+});
+
+describe('getClientCredentials', () => {
+  function _get(options) {
+    let err;
+    let result;
+    try {
+      result = getClientCredentials(options);
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('gets "client_secret_basic" credentials', async () => {
+    const req = _createBasicRequest({value: _toBase64('client-1:a%2Bb')});
+    const {err, result} = _get({req});
+    assertNoError(err);
+    result.should.deep.equal({
+      credentials: {userId: 'client-1', password: 'a+b'},
+      method: 'client_secret_basic'
+    });
+  });
+  it('gets "client_secret_post" credentials', async () => {
+    const req = helpers.createRequest({
+      method: 'POST',
+      body: {client_id: 'client-1', client_secret: 'a+b'}
+    });
+    const {err, result} = _get({req});
+    assertNoError(err);
+    result.should.deep.equal({
+      credentials: {userId: 'client-1', password: 'a+b'},
+      method: 'client_secret_post'
+    });
+  });
+  it('fails when more than one method is used', async () => {
+    const req = _createBasicRequest({
+      value: _toBase64('client-1:secret'),
+      body: {client_id: 'client-1', client_secret: 'secret'}
+    });
+    const {err, result} = _get({req});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('DataError');
+    err.details.httpStatusCode.should.equal(400);
+  });
+  it('fails with a mismatched body "client_id"', async () => {
+    const req = _createBasicRequest({
+      value: _toBase64('client-1:secret'), body: {client_id: 'client-2'}
+    });
+    const {err, result} = _get({req});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('DataError');
+  });
+  it('fails when a method is not allowed', async () => {
+    const req = helpers.createRequest({
+      method: 'POST',
+      body: {client_id: 'client-1', client_secret: 'secret'}
+    });
+    const {err, result} = _get({req, methods: ['client_secret_basic']});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('DataError');
+    err.message.should.equal('Missing client credentials.');
+  });
 });
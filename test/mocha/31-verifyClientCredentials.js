@@ -0,0 +1,128 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  _resetClientRegistry,
+  hashClientSecret,
+  setBasicChallenge,
+  setClientRegistry,
+  verifyClientCredentials
+} from '@bedrock/oauth2-verifier';
+
+describe('verifyClientCredentials', () => {
+  const clientId = 'test-client';
+  let clients;
+
+  before(async () => {
+    clients = {
+      [clientId]: {
+        secretHashes: [
+          await hashClientSecret({secret: 'old secret'}),
+          await hashClientSecret({
+            secret: 'new secret', algorithm: 'pbkdf2-sha256', iterations: 1000
+          })
+        ],
+        grantTypes: ['client_credentials'],
+        scope: 'read:/'
+      }
+    };
+  });
+  beforeEach(() => {
+    bedrock.config['oauth2-verifier'].clients = clients;
+  });
+  afterEach(() => {
+    bedrock.config['oauth2-verifier'].clients = {};
+    _resetClientRegistry();
+  });
+
+  async function _verify(options) {
+    let err;
+    let result;
+    try {
+      result = await verifyClientCredentials(options);
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertInvalidClient({err, result}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(401);
+    err.details.error.should.equal('invalid_client');
+  }
+
+  it('passes with a scrypt secret hash', async () => {
+    const {err, result} = await _verify({
+      credentials: {userId: clientId, password: 'old secret'}
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.client.should.deep.equal({
+      clientId, grantTypes: ['client_credentials'], scope: 'read:/'
+    });
+  });
+  it('passes with a pbkdf2-sha256 secret hash', async () => {
+    const {err, result} = await _verify({
+      credentials: {userId: clientId, password: 'new secret'}
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.client.clientId.should.equal(clientId);
+  });
+  it('fails with a wrong secret', async () => {
+    const result = await _verify({
+      credentials: {userId: clientId, password: 'wrong secret'}
+    });
+    _assertInvalidClient(result);
+  });
+  it('fails with an unknown client', async () => {
+    const result = await _verify({
+      credentials: {userId: 'unknown', password: 'old secret'}
+    });
+    _assertInvalidClient(result);
+  });
+  it('fails with an invalid secret hash', async () => {
+    bedrock.config['oauth2-verifier'].clients = {
+      [clientId]: {secretHashes: ['$md5$invalid']}
+    };
+    const {err, result} = await _verify({
+      credentials: {userId: clientId, password: 'old secret'}
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('OperationError');
+  });
+  it('uses a custom client registry', async () => {
+    const secretHash = await hashClientSecret({secret: 'custom secret'});
+    setClientRegistry({
+      registry: {
+        async getClient({clientId}) {
+          return clientId === 'custom' ?
+            {secretHashes: [secretHash], scope: 'write:/'} : null;
+        }
+      }
+    });
+    const {err, result} = await _verify({
+      credentials: {userId: 'custom', password: 'custom secret'}
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.client.should.deep.equal({clientId: 'custom', scope: 'write:/'});
+  });
+  it('sets a "Basic" challenge on failure', async () => {
+    const {err} = await _verify({
+      credentials: {userId: clientId, password: 'wrong secret'}
+    });
+    const res = helpers.createResponse();
+    const challenge = setBasicChallenge({res, error: err, realm: 'example'});
+    should.exist(challenge);
+    challenge.httpStatusCode.should.equal(401);
+    res.headers['www-authenticate'].should.equal(
+      'Basic realm="example", charset="UTF-8"');
+  });
+});
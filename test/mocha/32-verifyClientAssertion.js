@@ -0,0 +1,200 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  _resetClientRegistry,
+  verifyClientAssertion
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('verifyClientAssertion', () => {
+  const audience = `${baseUrl}/token`;
+  const clientAssertionType =
+    'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+  beforeEach(() => {
+    bedrock.config['oauth2-verifier'].clients = {
+      'jwks-client': {jwks: mockData.jwks, scope: 'read:/'},
+      'jwks-uri-client': {jwksUri: mockData.oauth2Config.jwks_uri},
+      'secret-client': {clientSecret: 'a shared client secret'}
+    };
+  });
+  afterEach(() => {
+    bedrock.config['oauth2-verifier'].clients = {};
+    _resetClientRegistry();
+  });
+
+  async function _verify({clientAssertion, body, ...options}) {
+    const req = helpers.createRequest({
+      method: 'POST',
+      body: body ?? {
+        client_assertion_type: clientAssertionType,
+        client_assertion: clientAssertion
+      }
+    });
+    let err;
+    let result;
+    try {
+      result = await verifyClientAssertion({req, audience, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertInvalidClient({err, result}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(401);
+    err.details.error.should.equal('invalid_client');
+  }
+
+  it('passes with "private_key_jwt" using "jwks"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience
+    });
+    const {err, result} = await _verify({clientAssertion});
+    assertNoError(err);
+    should.exist(result);
+    result.credentials.should.deep.equal({userId: 'jwks-client'});
+    result.client.should.deep.equal({
+      clientId: 'jwks-client', jwks: mockData.jwks, scope: 'read:/'
+    });
+    result.method.should.equal('private_key_jwt');
+    result.payload.sub.should.equal('jwks-client');
+  });
+  it('passes with "private_key_jwt" using "jwksUri"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-uri-client', audience
+    });
+    const {err, result} = await _verify({clientAssertion});
+    assertNoError(err);
+    should.exist(result);
+    result.method.should.equal('private_key_jwt');
+  });
+  it('passes with "client_secret_jwt"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'secret-client', audience, secret: 'a shared client secret'
+    });
+    const {err, result} = await _verify({clientAssertion});
+    assertNoError(err);
+    should.exist(result);
+    result.method.should.equal('client_secret_jwt');
+    result.client.should.deep.equal({clientId: 'secret-client'});
+  });
+  it('fails with a replayed "jti"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience
+    });
+    const first = await _verify({clientAssertion});
+    assertNoError(first.err);
+    const result = await _verify({clientAssertion});
+    _assertInvalidClient(result);
+    result.err.details.reason.should.equal(
+      'Client assertion has already been used.');
+  });
+  it('fails with an assertion older than the max age', async () => {
+    const iat = Math.floor(Date.now() / 1000) - 3600;
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience, iat, exp: iat + 7200
+    });
+    const result = await _verify({clientAssertion});
+    _assertInvalidClient(result);
+    result.err.details.reason.should.include('"iat"');
+  });
+  it('rejects replays when the replay cache is full', async () => {
+    const {replayCache} = bedrock.config['oauth2-verifier'].clientAssertion;
+    const {max} = replayCache;
+    replayCache.max = 1;
+    _resetClientRegistry();
+    try {
+      const clientAssertion = await helpers.getClientAssertion({
+        clientId: 'jwks-client', audience
+      });
+      assertNoError((await _verify({clientAssertion})).err);
+
+      // cache is full; a new assertion is rejected (fail closed)...
+      const {err, result} = await _verify({
+        clientAssertion: await helpers.getClientAssertion({
+          clientId: 'jwks-client', audience
+        })
+      });
+      should.exist(err);
+      should.not.exist(result);
+      err.name.should.equal('QuotaExceededError');
+      err.details.httpStatusCode.should.equal(503);
+      // ...and the used assertion is not evicted, so a replay is rejected
+      _assertInvalidClient(await _verify({clientAssertion}));
+    } finally {
+      replayCache.max = max;
+    }
+  });
+  it('fails with "iss" not equal to "sub"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', iss: 'other-client', audience
+    });
+    _assertInvalidClient(await _verify({clientAssertion}));
+  });
+  it('fails with a wrong "aud"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience: `${baseUrl}/other`
+    });
+    _assertInvalidClient(await _verify({clientAssertion}));
+  });
+  it('fails with an expired assertion', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience,
+      exp: Math.floor(Date.now() / 1000) - 600
+    });
+    _assertInvalidClient(await _verify({clientAssertion}));
+  });
+  it('fails with a wrong client secret', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'secret-client', audience, secret: 'wrong secret'
+    });
+    _assertInvalidClient(await _verify({clientAssertion}));
+  });
+  it('fails with an HMAC for a client with keys', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience, secret: 'a shared client secret'
+    });
+    _assertInvalidClient(await _verify({clientAssertion}));
+  });
+  it('fails with an unknown client', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'unknown-client', audience
+    });
+    _assertInvalidClient(await _verify({clientAssertion}));
+  });
+  it('fails with a mismatched "client_id"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience
+    });
+    _assertInvalidClient(await _verify({
+      body: {
+        client_assertion_type: clientAssertionType,
+        client_assertion: clientAssertion,
+        client_id: 'other-client'
+      }
+    }));
+  });
+  it('fails with a wrong "client_assertion_type"', async () => {
+    const clientAssertion = await helpers.getClientAssertion({
+      clientId: 'jwks-client', audience
+    });
+    const {err, result} = await _verify({
+      body: {
+        client_assertion_type: 'urn:example:other',
+        client_assertion: clientAssertion
+      }
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('DataError');
+  });
+});
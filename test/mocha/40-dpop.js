@@ -0,0 +1,222 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  _resetDpopReplayCache, checkAccessToken, checkTargetScopedAccessToken
+} from '@bedrock/oauth2-verifier';
+import {calculateJwkThumbprint, exportJWK, generateKeyPair} from 'jose';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/DPoP', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const originalUrl = '/foo?bar=baz';
+  const htu = `${baseUrl}/foo`;
+  let keyPair;
+  let cnf;
+  before(async () => {
+    keyPair = await generateKeyPair('EdDSA');
+    const jkt = await calculateJwkThumbprint(
+      await exportJWK(keyPair.publicKey));
+    cnf = {jkt};
+  });
+
+  async function _checkDpopRequest({
+    accessToken, dpopProof, scheme = 'DPoP', dpop = 'required'
+  }) {
+    const req = helpers.createRequest({
+      accessToken, scheme, dpopProof, originalUrl
+    });
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({req, issuerConfigUrl, audience, dpop});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('passes with a valid DPoP proof', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({keyPair, accessToken, htu});
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    assertNoError(err);
+    should.exist(result);
+    result.should.have.include.keys(['protectedHeader', 'payload']);
+  });
+  it('passes with a "Bearer" token in "optional" mode', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _checkDpopRequest({
+      accessToken, scheme: 'Bearer', dpop: 'optional'
+    });
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('fails with a DPoP-bound "Bearer" token in "optional" mode', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const {err, result} = await _checkDpopRequest({
+      accessToken, scheme: 'Bearer', dpop: 'optional'
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.claim.should.equal('cnf');
+  });
+  it('fails with a "Bearer" token in "required" mode', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _checkDpopRequest({
+      accessToken, scheme: 'Bearer'
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_ACCESS_TOKEN_MISSING');
+  });
+  it('fails without a DPoP proof', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const {err, result} = await _checkDpopRequest({accessToken});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.code.should.equal('ERR_JWT_INVALID');
+  });
+  it('fails with an unbound access token', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const dpopProof = await helpers.getDpopProof({keyPair, accessToken, htu});
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('cnf');
+  });
+  it('fails with a mismatched "htm" claim', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({
+      keyPair, accessToken, htu, htm: 'POST'
+    });
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('htm');
+  });
+  it('fails with a mismatched "htu" claim', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({
+      keyPair, accessToken, htu: `${baseUrl}/other`
+    });
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('htu');
+  });
+  it('fails with a mismatched "ath" claim', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const otherToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({
+      keyPair, accessToken: `${otherToken}x`, htu
+    });
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('ath');
+  });
+  it('fails with a stale "iat" claim', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({
+      keyPair, accessToken, htu,
+      // issued 1 hour ago
+      iat: Math.floor(Date.now() / 1000 - 3600)
+    });
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_JWT_EXPIRED');
+    err.details.claim.should.equal('iat');
+  });
+  it('fails with a proof from a different key', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({
+      keyPair: await generateKeyPair('EdDSA'), accessToken, htu
+    });
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('cnf');
+  });
+  it('fails with a replayed DPoP proof', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({keyPair, accessToken, htu});
+    const first = await _checkDpopRequest({accessToken, dpopProof});
+    assertNoError(first.err);
+    const {err, result} = await _checkDpopRequest({accessToken, dpopProof});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('jti');
+  });
+  it('rejects replays when the replay cache is full', async () => {
+    const {replayCache} = bedrock.config['oauth2-verifier'].dpop;
+    const {max} = replayCache;
+    replayCache.max = 1;
+    _resetDpopReplayCache();
+    try {
+      const accessToken = await helpers.getOAuth2AccessToken({
+        audience, cnf
+      });
+      const dpopProof = await helpers.getDpopProof({
+        keyPair, accessToken, htu
+      });
+      const first = await _checkDpopRequest({accessToken, dpopProof});
+      assertNoError(first.err);
+
+      // cache is full; a new proof is rejected (fail closed)...
+      const {err, result} = await _checkDpopRequest({
+        accessToken,
+        dpopProof: await helpers.getDpopProof({keyPair, accessToken, htu})
+      });
+      should.exist(err);
+      should.not.exist(result);
+      err.name.should.equal('QuotaExceededError');
+      err.details.httpStatusCode.should.equal(503);
+      // ...and the used proof is not evicted, so a replay is still rejected
+      const replay = await _checkDpopRequest({accessToken, dpopProof});
+      should.exist(replay.err);
+      replay.err.details.claim.should.equal('jti');
+    } finally {
+      replayCache.max = max;
+      _resetDpopReplayCache();
+    }
+  });
+  it('passes "checkTargetScopedAccessToken" w/DPoP required', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const dpopProof = await helpers.getDpopProof({keyPair, accessToken, htu});
+    const req = helpers.createRequest({
+      accessToken, scheme: 'DPoP', dpopProof, originalUrl
+    });
+    const {host} = new URL(baseUrl);
+    let err;
+    let result;
+    try {
+      result = await checkTargetScopedAccessToken({
+        req, issuerConfigUrl, audience, dpop: 'required',
+        getExpectedValues: () => ({host, rootInvocationTarget: baseUrl})
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+  });
+});
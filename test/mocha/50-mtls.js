@@ -0,0 +1,113 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {checkAccessToken} from '@bedrock/oauth2-verifier';
+import {config} from '@bedrock/core';
+import {mockData} from './mock.data.js';
+import {X509Certificate} from 'node:crypto';
+
+const {baseUrl, clientCertificate} = mockData;
+
+describe('checkAccessToken w/mTLS', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const cnf = {'x5t#S256': clientCertificate['x5t#S256']};
+  const {raw} = new X509Certificate(clientCertificate.pem);
+
+  async function _check({accessToken, mtls, ...reqOptions}) {
+    const req = helpers.createRequest({accessToken, ...reqOptions});
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({req, issuerConfigUrl, audience, mtls});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('passes with a bound token and socket certificate', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const {err, result} = await _check({
+      accessToken, mtls: 'required', peerCertificate: {raw}
+    });
+    assertNoError(err);
+    should.exist(result);
+    result.should.have.include.keys(['protectedHeader', 'payload']);
+  });
+  it('passes with an unbound token in "optional" mode', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _check({accessToken, mtls: 'optional'});
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('fails with an unbound token in "required" mode', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _check({
+      accessToken, mtls: 'required', peerCertificate: {raw}
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.claim.should.equal('cnf');
+  });
+  it('fails with a bound token and no certificate', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const {err, result} = await _check({accessToken, mtls: 'optional'});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('cnf');
+  });
+  it('fails with a bound token and a different certificate', async () => {
+    const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+    const {err, result} = await _check({
+      accessToken, mtls: 'required',
+      peerCertificate: {raw: Buffer.from('different')}
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('cnf');
+  });
+  describe('w/trusted proxy header', () => {
+    const {mtls: mtlsConfig} = config['oauth2-verifier'];
+    before(() => {
+      mtlsConfig.clientCertificateHeader = 'client-cert';
+    });
+    after(() => {
+      mtlsConfig.clientCertificateHeader = null;
+    });
+
+    it('passes with an RFC 9440 "Client-Cert" header', async () => {
+      const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+      const {err, result} = await _check({
+        accessToken, mtls: 'required',
+        headers: {'client-cert': `:${raw.toString('base64')}:`}
+      });
+      assertNoError(err);
+      should.exist(result);
+    });
+    it('passes with a URL-encoded PEM header', async () => {
+      const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+      const {err, result} = await _check({
+        accessToken, mtls: 'required',
+        headers: {'client-cert': encodeURIComponent(clientCertificate.pem)}
+      });
+      assertNoError(err);
+      should.exist(result);
+    });
+    it('ignores the socket certificate', async () => {
+      const accessToken = await helpers.getOAuth2AccessToken({audience, cnf});
+      const {err, result} = await _check({
+        accessToken, mtls: 'required', peerCertificate: {raw}
+      });
+      should.exist(err);
+      should.not.exist(result);
+      err.name.should.equal('NotAllowedError');
+      err.details.claim.should.equal('cnf');
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {
+  _resetIntrospectionCache,
+  checkAccessToken,
+  checkTargetScopedAccessToken,
+  introspectAccessToken
+} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl, introspectionClient: clientCredentials} = mockData;
+
+describe('introspectAccessToken', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  beforeEach(() => {
+    _resetIntrospectionCache();
+  });
+
+  async function _introspect({token, ...options}) {
+    let err;
+    let result;
+    try {
+      result = await introspectAccessToken({
+        token, issuerConfigUrl, audience, clientCredentials, ...options
+      });
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('passes on an active opaque token', async () => {
+    const {err, result} = await _introspect({token: 'active-opaque-token'});
+    assertNoError(err);
+    should.exist(result);
+    result.should.have.keys(['payload']);
+    result.payload.should.not.have.property('active');
+    result.payload.scope.should.equal('read:/');
+  });
+  it('caches introspection results', async () => {
+    const before = mockData.introspectionRequests;
+    await _introspect({token: 'active-opaque-token'});
+    const {err, result} = await _introspect({token: 'active-opaque-token'});
+    assertNoError(err);
+    should.exist(result);
+    mockData.introspectionRequests.should.equal(before + 1);
+  });
+  it('fails on an inactive token', async () => {
+    const {err, result} = await _introspect({token: 'inactive-opaque-token'});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.code.should.equal('ERR_TOKEN_INACTIVE');
+  });
+  it('fails on an unknown token', async () => {
+    const {err, result} = await _introspect({token: 'unknown-opaque-token'});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_TOKEN_INACTIVE');
+  });
+  it('fails on an expired token', async () => {
+    const before = mockData.introspectionRequests;
+    const {err, result} = await _introspect({token: 'expired-opaque-token'});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_JWT_EXPIRED');
+    err.details.claim.should.equal('exp');
+
+    // expired token must not be cached
+    await _introspect({token: 'expired-opaque-token'});
+    mockData.introspectionRequests.should.equal(before + 2);
+  });
+  it('fails on a bad "aud" claim', async () => {
+    const {err, result} = await _introspect({
+      token: 'active-opaque-token', audience: 'urn:example:unexpected'
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_JWT_CLAIM_VALIDATION_FAILED');
+    err.details.claim.should.equal('aud');
+  });
+  it('fails with bad client credentials', async () => {
+    const {err, result} = await _introspect({
+      token: 'active-opaque-token',
+      clientCredentials: {...clientCredentials, clientSecret: 'wrong'}
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('OperationError');
+  });
+  it('passes via "checkAccessToken" w/introspect', async () => {
+    const req = helpers.createRequest({accessToken: 'active-opaque-token'});
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken({
+        req, issuerConfigUrl, audience, introspect: true, clientCredentials
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+    result.should.have.include.keys(['payload']);
+  });
+  it('passes via "checkTargetScopedAccessToken" w/introspect', async () => {
+    const req = helpers.createRequest({
+      accessToken: 'active-opaque-token', originalUrl: '/foo'
+    });
+    const {host} = new URL(baseUrl);
+    let err;
+    let result;
+    try {
+      result = await checkTargetScopedAccessToken({
+        req, issuerConfigUrl, audience, introspect: true, clientCredentials,
+        getExpectedValues: () => ({host, rootInvocationTarget: baseUrl})
+      });
+    } catch(e) {
+      err = e;
+    }
+    assertNoError(err);
+    should.exist(result);
+  });
+});
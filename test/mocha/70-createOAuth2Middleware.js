@@ -0,0 +1,113 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {createOAuth2Middleware} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('createOAuth2Middleware', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const {host} = new URL(baseUrl);
+  const getExpectedValues = () => ({host, rootInvocationTarget: baseUrl});
+
+  // runs middleware and resolves to the value passed to `next()`
+  function _run({middleware, req, res = helpers.createResponse()}) {
+    return new Promise(resolve => middleware(req, res, resolve));
+  }
+
+  it('sets "req.oauth2" for a valid target scoped token', async () => {
+    const middleware = createOAuth2Middleware({
+      issuerConfigUrl, getExpectedValues, audience
+    });
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const req = helpers.createRequest({accessToken, originalUrl: '/foo'});
+    const err = await _run({middleware, req});
+    assertNoError(err);
+    should.exist(req.oauth2);
+    req.oauth2.should.have.keys([
+      'payload', 'protectedHeader', 'actorChain', 'tokenSource', 'scope'
+    ]);
+    req.oauth2.scope.should.equal('read:/');
+  });
+  it('sets "req.oauth2" for a valid token in audience mode', async () => {
+    const middleware = createOAuth2Middleware({issuerConfigUrl, audience});
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const req = helpers.createRequest({accessToken});
+    const err = await _run({middleware, req});
+    assertNoError(err);
+    should.exist(req.oauth2);
+    req.oauth2.should.have.keys([
+      'payload', 'protectedHeader', 'actorChain', 'tokenSource'
+    ]);
+  });
+  it('passes an error to "next()" for insufficient scope', async () => {
+    const middleware = createOAuth2Middleware({
+      issuerConfigUrl, getExpectedValues, audience
+    });
+    const accessToken = await helpers.getOAuth2AccessToken({audience});
+    const req = helpers.createRequest({
+      accessToken, method: 'POST', originalUrl: '/foo'
+    });
+    const res = helpers.createResponse();
+    const err = await _run({middleware, req, res});
+    should.exist(err);
+    should.not.exist(req.oauth2);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('scope');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.challenge.error.should.equal('insufficient_scope');
+    err.details.challenge.scope.should.equal('write:/foo');
+    res.headers['www-authenticate'].should.equal(
+      `Bearer realm="${host}", error="insufficient_scope", ` +
+      'error_description="Access token \'scope\' is insufficient.", ' +
+      'scope="write:/foo"');
+  });
+  it('passes an error to "next()" for a missing token', async () => {
+    const middleware = createOAuth2Middleware({issuerConfigUrl, audience});
+    const req = helpers.createRequest({});
+    const res = helpers.createResponse();
+    const err = await _run({middleware, req, res});
+    should.exist(err);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(401);
+    res.headers['www-authenticate'].should.equal(`Bearer realm="${host}"`);
+  });
+  it('allows an anonymous request when optional', async () => {
+    const middleware = createOAuth2Middleware({
+      issuerConfigUrl, audience, optional: true
+    });
+    const req = helpers.createRequest({});
+    const err = await _run({middleware, req});
+    assertNoError(err);
+    should.not.exist(req.oauth2);
+  });
+  it('rejects an invalid token when optional', async () => {
+    const middleware = createOAuth2Middleware({
+      issuerConfigUrl, audience, optional: true
+    });
+    const accessToken = await helpers.getOAuth2AccessToken({
+      audience: 'urn:example:unexpected'
+    });
+    const req = helpers.createRequest({accessToken});
+    const err = await _run({middleware, req});
+    should.exist(err);
+    should.not.exist(req.oauth2);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('aud');
+    err.details.httpStatusCode.should.equal(401);
+    err.details.challenge.error.should.equal('invalid_token');
+  });
+  it('throws without "getExpectedValues" or "audience"', async () => {
+    let err;
+    try {
+      createOAuth2Middleware({issuerConfigUrl});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.name.should.equal('TypeError');
+  });
+});
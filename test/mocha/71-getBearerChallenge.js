@@ -0,0 +1,104 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {checkAccessToken, getBearerChallenge} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {util: {BedrockError}} = bedrock;
+
+describe('getBearerChallenge', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl =
+    `${mockData.baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+
+  function _createError({code, reason = 'Some reason.', claim}) {
+    return new BedrockError('Access token validation failed.', {
+      name: 'NotAllowedError',
+      details: {httpStatusCode: 403, public: true, code, reason, claim}
+    });
+  }
+
+  it('maps a missing token', async () => {
+    const error = _createError({code: 'ERR_ACCESS_TOKEN_MISSING'});
+    const req = helpers.createRequest({});
+    const challenge = getBearerChallenge({error, req, realm: 'example'});
+    should.exist(challenge);
+    challenge.httpStatusCode.should.equal(401);
+    challenge.header.should.equal('Bearer realm="example"');
+  });
+  it('maps a missing token from any source', async () => {
+    const req = helpers.createRequest({});
+    let err;
+    try {
+      await checkAccessToken({
+        req, issuerConfigUrl, audience, tokenSources: ['header', 'query']
+      });
+    } catch(e) {
+      err = e;
+    }
+    const challenge = getBearerChallenge({
+      error: err, req, realm: 'example'
+    });
+    challenge.httpStatusCode.should.equal(401);
+    challenge.header.should.equal('Bearer realm="example"');
+  });
+  it('maps a malformed token sent without a header', async () => {
+    for(const tokenSources of [['query'], [{cookie: 'at'}]]) {
+      const req = helpers.createRequest({
+        originalUrl: '/?access_token=not-a-jwt',
+        headers: {cookie: 'at=not-a-jwt'}
+      });
+      let err;
+      try {
+        await checkAccessToken({req, issuerConfigUrl, audience, tokenSources});
+      } catch(e) {
+        err = e;
+      }
+      const challenge = getBearerChallenge({
+        error: err, req, realm: 'example'
+      });
+      challenge.httpStatusCode.should.equal(401);
+      challenge.params.error.should.equal('invalid_token');
+    }
+  });
+  it('maps an invalid request', async () => {
+    const error = _createError({code: 'ERR_INVALID_REQUEST'});
+    const challenge = getBearerChallenge({error, realm: 'example'});
+    should.exist(challenge);
+    challenge.httpStatusCode.should.equal(400);
+    challenge.params.error.should.equal('invalid_request');
+  });
+  it('maps an invalid token', async () => {
+    const error = _createError({
+      code: 'ERR_JWT_EXPIRED', reason: '"exp" claim timestamp check failed',
+      claim: 'exp'
+    });
+    const challenge = getBearerChallenge({error, realm: 'example'});
+    should.exist(challenge);
+    challenge.httpStatusCode.should.equal(401);
+    challenge.header.should.equal(
+      'Bearer realm="example", error="invalid_token", ' +
+      'error_description="\'exp\' claim timestamp check failed"');
+  });
+  it('uses the configured realm', async () => {
+    const cfg = bedrock.config['oauth2-verifier'];
+    const error = _createError({code: 'ERR_JWT_EXPIRED'});
+    cfg.challenge.realm = 'configured';
+    let challenge;
+    try {
+      challenge = getBearerChallenge({error});
+    } finally {
+      cfg.challenge.realm = null;
+    }
+    challenge.params.realm.should.equal('configured');
+  });
+  it('does not map other errors', async () => {
+    const error = new BedrockError('Issuer unreachable.', {
+      name: 'OperationError', details: {httpStatusCode: 500, public: true}
+    });
+    should.not.exist(getBearerChallenge({error}));
+    should.not.exist(getBearerChallenge({error: new TypeError('bad')}));
+  });
+});
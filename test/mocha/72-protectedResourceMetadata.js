@@ -0,0 +1,105 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as bedrock from '@bedrock/core';
+import * as helpers from './helpers.js';
+import {
+  getBearerChallenge,
+  getProtectedResourceMetadata,
+  getProtectedResourceMetadataUrl
+} from '@bedrock/oauth2-verifier';
+import {httpsAgent as agent} from '@bedrock/https-agent';
+import {httpClient} from '@digitalbazaar/http-client';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+const {util: {BedrockError}} = bedrock;
+
+describe('Protected Resource Metadata', () => {
+  const resource = `${baseUrl}/protected`;
+  const metadataUrl =
+    `${baseUrl}/.well-known/oauth-protected-resource/protected`;
+
+  beforeEach(() => {
+    bedrock.config['oauth2-verifier'].protectedResources = {
+      [resource]: {
+        authorizationServers: [mockData.oauth2Config.issuer],
+        scopes: ['read:/protected', 'write:/protected'],
+        dpop: 'required',
+        mtls: 'optional',
+        metadata: {resource_name: 'Test Resource'}
+      }
+    };
+  });
+  afterEach(() => {
+    bedrock.config['oauth2-verifier'].protectedResources = {};
+  });
+
+  it('gets the well-known metadata URL', async () => {
+    getProtectedResourceMetadataUrl({resource}).should.equal(metadataUrl);
+    getProtectedResourceMetadataUrl({resource: `${baseUrl}/`}).should.equal(
+      `${baseUrl}/.well-known/oauth-protected-resource`);
+  });
+  it('gets the metadata from the config', async () => {
+    const {dpop: {allowedAlgorithms}} = bedrock.config['oauth2-verifier'];
+    getProtectedResourceMetadata({resource}).should.deep.equal({
+      resource_name: 'Test Resource',
+      resource,
+      authorization_servers: [mockData.oauth2Config.issuer],
+      scopes_supported: ['read:/protected', 'write:/protected'],
+      bearer_methods_supported: ['header'],
+      dpop_signing_alg_values_supported: allowedAlgorithms,
+      dpop_bound_access_tokens_required: true,
+      tls_client_certificate_bound_access_tokens: true
+    });
+  });
+  it('serves the metadata', async () => {
+    const response = await httpClient.get(metadataUrl, {agent});
+    response.data.should.deep.equal(getProtectedResourceMetadata({resource}));
+  });
+  it('returns 404 for an unknown resource', async () => {
+    let err;
+    try {
+      await httpClient.get(
+        `${baseUrl}/.well-known/oauth-protected-resource/unknown`, {agent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(404);
+  });
+  it('returns 404 for a resource on another host', async () => {
+    bedrock.config['oauth2-verifier'].protectedResources = {
+      'https://other.example/protected': {scopes: ['read:/protected']}
+    };
+    let err;
+    try {
+      await httpClient.get(metadataUrl, {agent});
+    } catch(e) {
+      err = e;
+    }
+    should.exist(err);
+    err.status.should.equal(404);
+  });
+  it('includes "resource_metadata" in challenges', async () => {
+    const error = new BedrockError('Access token validation failed.', {
+      name: 'NotAllowedError',
+      details: {
+        httpStatusCode: 403, public: true, code: 'ERR_ACCESS_TOKEN_MISSING'
+      }
+    });
+    const req = helpers.createRequest({originalUrl: '/protected/foo'});
+    const challenge = getBearerChallenge({error, req, realm: 'example'});
+    should.exist(challenge);
+    challenge.httpStatusCode.should.equal(401);
+    challenge.header.should.equal(
+      `Bearer realm="example", resource_metadata="${metadataUrl}"`);
+
+    // not for other resources
+    const other = getBearerChallenge({
+      error, req: helpers.createRequest({originalUrl: '/protectedfoo'}),
+      realm: 'example'
+    });
+    other.header.should.equal('Bearer realm="example"');
+  });
+});
@@ -0,0 +1,102 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {checkAccessToken} from '@bedrock/oauth2-verifier';
+import {config} from '@bedrock/core';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkAccessToken w/trusted issuers', () => {
+  const audience = 'test:audience';
+  const issuerConfigUrl = `${baseUrl}${mockData.oauth2IssuerConfigRoute}`;
+  const trustedIssuers = {
+    [mockData.oauth2Config.issuer]: {
+      issuerConfigUrl,
+      allowedAlgorithms: ['EdDSA'],
+      audience,
+      typ: 'jwt'
+    },
+    'https://other.example': {
+      issuerConfigUrl:
+        'https://other.example/.well-known/oauth-authorization-server'
+    }
+  };
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkAccessToken(options);
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  it('passes using the entry for the token\'s issuer', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, typ: 'jwt'});
+    const {err, result} = await _check({jwt, trustedIssuers});
+    assertNoError(err);
+    should.exist(result);
+    result.should.have.include.keys(['protectedHeader', 'payload']);
+  });
+  it('passes using the configured registry', async () => {
+    const cfg = config['oauth2-verifier'];
+    const jwt = await helpers.getOAuth2AccessToken({audience, typ: 'jwt'});
+    cfg.trustedIssuers = trustedIssuers;
+    let result;
+    try {
+      result = await _check({jwt});
+    } finally {
+      cfg.trustedIssuers = {};
+    }
+    assertNoError(result.err);
+    should.exist(result.result);
+  });
+  it('applies the entry\'s "typ"', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _check({jwt, trustedIssuers});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('typ');
+  });
+  it('prefers a given "audience" over the entry\'s', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience, typ: 'jwt'});
+    const {err, result} = await _check({
+      jwt, trustedIssuers, audience: 'urn:example:other'
+    });
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.claim.should.equal('aud');
+  });
+  it('fails on an unknown issuer', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({
+      audience, iss: 'urn:example:unexpected'
+    });
+    const {err, result} = await _check({jwt, trustedIssuers});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.code.should.equal('ERR_JWT_CLAIM_VALIDATION_FAILED');
+    err.details.claim.should.equal('iss');
+  });
+  it('fails on a malformed token', async () => {
+    const {err, result} = await _check({jwt: 'not-a-jwt', trustedIssuers});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.details.code.should.equal('ERR_JWT_INVALID');
+  });
+  it('fails without "issuerConfigUrl" or a registry', async () => {
+    const jwt = await helpers.getOAuth2AccessToken({audience});
+    const {err, result} = await _check({jwt, audience});
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('TypeError');
+  });
+});
@@ -0,0 +1,118 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as helpers from './helpers.js';
+import {checkIdToken} from '@bedrock/oauth2-verifier';
+import {mockData} from './mock.data.js';
+
+const {baseUrl} = mockData;
+
+describe('checkIdToken', () => {
+  const clientId = 'test-client';
+  const issuerConfigUrl = `${baseUrl}${mockData.openIdConfigRoute}`;
+
+  async function _check(options) {
+    let err;
+    let result;
+    try {
+      result = await checkIdToken({issuerConfigUrl, clientId, ...options});
+    } catch(e) {
+      err = e;
+    }
+    return {err, result};
+  }
+
+  function _assertClaimError({err, result, claim}) {
+    should.exist(err);
+    should.not.exist(result);
+    err.name.should.equal('NotAllowedError');
+    err.message.should.equal('ID token validation failed.');
+    err.details.httpStatusCode.should.equal(403);
+    err.details.claim.should.equal(claim);
+  }
+
+  it('passes on a valid ID token', async () => {
+    const idToken = await helpers.getIdToken({audience: clientId});
+    const {err, result} = await _check({idToken});
+    assertNoError(err);
+    should.exist(result);
+    result.should.have.keys(['payload', 'protectedHeader']);
+    result.payload.sub.should.equal('user-1');
+  });
+  it('passes with all optional checks', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const idToken = await helpers.getIdToken({
+      audience: [clientId, 'other-client'], azp: clientId, nonce: 'n-0S6',
+      authTime: now - 60, accessToken: 'access-token', code: 'auth-code'
+    });
+    const {err, result} = await _check({
+      idToken, nonce: 'n-0S6', maxAge: 3600, accessToken: 'access-token',
+      code: 'auth-code'
+    });
+    assertNoError(err);
+    should.exist(result);
+  });
+  it('fails on a bad "aud" claim', async () => {
+    const idToken = await helpers.getIdToken({audience: 'other-client'});
+    const result = await _check({idToken});
+    _assertClaimError({...result, claim: 'aud'});
+  });
+  it('fails on multiple audiences without "azp"', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: [clientId, 'other-client']
+    });
+    const result = await _check({idToken});
+    _assertClaimError({...result, claim: 'azp'});
+  });
+  it('fails on a bad "azp" claim', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: clientId, azp: 'other-client'
+    });
+    const result = await _check({idToken});
+    _assertClaimError({...result, claim: 'azp'});
+  });
+  it('fails on a bad "nonce" claim', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: clientId, nonce: 'unexpected'
+    });
+    const result = await _check({idToken, nonce: 'n-0S6'});
+    _assertClaimError({...result, claim: 'nonce'});
+  });
+  it('fails on an old "iat" claim', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: clientId,
+      // issued 1 hour ago
+      iat: Math.floor(Date.now() / 1000 - 3600)
+    });
+    const result = await _check({idToken});
+    _assertClaimError({...result, claim: 'iat'});
+  });
+  it('fails on a missing "auth_time" claim with "maxAge"', async () => {
+    const idToken = await helpers.getIdToken({audience: clientId});
+    const result = await _check({idToken, maxAge: 3600});
+    _assertClaimError({...result, claim: 'auth_time'});
+  });
+  it('fails on an old "auth_time" claim', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: clientId,
+      // authenticated 1 day ago
+      authTime: Math.floor(Date.now() / 1000 - 86400)
+    });
+    const result = await _check({idToken, maxAge: 3600});
+    _assertClaimError({...result, claim: 'auth_time'});
+  });
+  it('fails on a bad "at_hash" claim', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: clientId, accessToken: 'access-token'
+    });
+    const result = await _check({idToken, accessToken: 'other-token'});
+    _assertClaimError({...result, claim: 'at_hash'});
+  });
+  it('fails on a bad "c_hash" claim', async () => {
+    const idToken = await helpers.getIdToken({
+      audience: clientId, code: 'auth-code'
+    });
+    const result = await _check({idToken, code: 'other-code'});
+    _assertClaimError({...result, claim: 'c_hash'});
+  });
+});
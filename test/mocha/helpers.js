@@ -1,16 +1,40 @@
 /*
- * Copyright (c) 2019-2025 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import {importJWK, SignJWT} from 'jose';
+import {base64url, exportJWK, importJWK, SignJWT} from 'jose';
+import {createHash, randomUUID} from 'node:crypto';
 
 import {mockData} from './mock.data.js';
 
 export async function getOAuth2AccessToken({
-  audience, exp, iss, nbf, typ = 'at+jwt'
+  audience, cnf, exp, iss, nbf, typ = 'at+jwt', privateKey, kid,
+  jti, sub, clientId, authorizationDetails, acr, authTime, act, mayAct,
+  scope = 'read:/'
 }) {
-  const scope = 'read:/';
-  const builder = new SignJWT({scope})
-    .setProtectedHeader({alg: 'EdDSA', typ})
+  const claims = {scope};
+  if(acr !== undefined) {
+    claims.acr = acr;
+  }
+  if(act !== undefined) {
+    claims.act = act;
+  }
+  if(mayAct !== undefined) {
+    claims.may_act = mayAct;
+  }
+  if(authTime !== undefined) {
+    claims.auth_time = authTime;
+  }
+  if(authorizationDetails !== undefined) {
+    claims.authorization_details = authorizationDetails;
+  }
+  if(cnf !== undefined) {
+    claims.cnf = cnf;
+  }
+  if(clientId !== undefined) {
+    claims.client_id = clientId;
+  }
+  const builder = new SignJWT(claims)
+    .setProtectedHeader({alg: 'EdDSA', typ, kid})
     .setIssuer(iss ?? mockData.oauth2Config.issuer)
     .setAudience(audience);
   if(exp !== undefined) {
@@ -22,23 +46,128 @@ export async function getOAuth2AccessToken({
   if(nbf !== undefined) {
     builder.setNotBefore(nbf);
   }
-  const key = await importJWK({...mockData.ed25519KeyPair, alg: 'EdDSA'});
+  if(jti !== undefined) {
+    builder.setJti(jti);
+  }
+  if(sub !== undefined) {
+    builder.setSubject(sub);
+  }
+  const key = privateKey ??
+    await importJWK({...mockData.ed25519KeyPair, alg: 'EdDSA'});
   return builder.sign(key);
 }
 
-export function createRequest({accessToken, credentials}) {
+export async function getIdToken({
+  audience, azp, nonce, authTime, accessToken, code,
+  iat, sub = 'user-1'
+}) {
+  const claims = {};
+  if(azp !== undefined) {
+    claims.azp = azp;
+  }
+  if(nonce !== undefined) {
+    claims.nonce = nonce;
+  }
+  if(authTime !== undefined) {
+    claims.auth_time = authTime;
+  }
+  // EdDSA (Ed25519) uses SHA-512 for `at_hash` and `c_hash`
   if(accessToken !== undefined) {
-    return {
-      get() {
-        return `Bearer ${accessToken}`;
-      }
-    };
+    claims.at_hash = _leftHalfSha512(accessToken);
+  }
+  if(code !== undefined) {
+    claims.c_hash = _leftHalfSha512(code);
+  }
+  const key = await importJWK({...mockData.ed25519KeyPair, alg: 'EdDSA'});
+  return new SignJWT(claims)
+    .setProtectedHeader({alg: 'EdDSA', typ: 'JWT'})
+    .setIssuer(mockData.oauth2Config.issuer)
+    .setSubject(sub)
+    .setAudience(audience)
+    .setIssuedAt(iat)
+    .setExpirationTime('5m')
+    .sign(key);
+}
+
+export async function getDpopProof({
+  keyPair, accessToken, htm = 'GET', htu, iat, jti = randomUUID()
+}) {
+  const jwk = await exportJWK(keyPair.publicKey);
+  const claims = {htm, htu, jti};
+  if(accessToken !== undefined) {
+    claims.ath = base64url.encode(
+      createHash('sha256').update(accessToken).digest());
+  }
+  return new SignJWT(claims)
+    .setProtectedHeader({alg: 'EdDSA', typ: 'dpop+jwt', jwk})
+    .setIssuedAt(iat)
+    .sign(keyPair.privateKey);
+}
+
+export async function getClientAssertion({
+  clientId, audience, iss = clientId, exp = '5m', jti = randomUUID(), secret,
+  iat
+}) {
+  const builder = new SignJWT({})
+    .setIssuer(iss)
+    .setSubject(clientId)
+    .setAudience(audience)
+    .setIssuedAt(iat)
+    .setExpirationTime(exp)
+    .setJti(jti);
+  if(secret !== undefined) {
+    return builder
+      .setProtectedHeader({alg: 'HS256'})
+      .sign(new TextEncoder().encode(secret));
+  }
+  const {kid} = mockData.ed25519KeyPair;
+  return builder
+    .setProtectedHeader({alg: 'EdDSA', kid})
+    .sign(await importJWK({...mockData.ed25519KeyPair, alg: 'EdDSA'}));
+}
+
+function _leftHalfSha512(value) {
+  const digest = createHash('sha512').update(value).digest();
+  return base64url.encode(digest.subarray(0, 32));
+}
+
+export function createRequest({
+  accessToken, credentials, scheme = 'Bearer', dpopProof,
+  method = 'GET', originalUrl = '/', headers: extraHeaders = {},
+  peerCertificate = {}, body
+}) {
+  const headers = {host: new URL(mockData.baseUrl).host, ...extraHeaders};
+  if(accessToken !== undefined) {
+    headers.authorization = `${scheme} ${accessToken}`;
+  } else if(credentials !== undefined) {
+    const {userId, password} = credentials;
+    const b64 = Buffer.from(`${userId}:${password}`).toString('base64');
+    headers.authorization = `Basic ${b64}`;
   }
-  const {userId, password} = credentials;
-  const b64 = Buffer.from(`${userId}:${password}`).toString('base64');
+  if(dpopProof !== undefined) {
+    headers.dpop = dpopProof;
+  }
+  return {
+    method,
+    originalUrl,
+    body,
+    socket: {
+      getPeerCertificate() {
+        return peerCertificate;
+      }
+    },
+    get(name) {
+      return headers[name.toLowerCase()];
+    }
+  };
+}
+
+// creates a minimal HTTP response that records the headers that are set
+export function createResponse() {
   return {
-    get() {
-      return `Basic ${b64}`;
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
     }
   };
 }
@@ -1,5 +1,5 @@
 /*!
-* Copyright (c) 2019-2022 Digital Bazaar, Inc. All rights reserved.
+* Copyright (c) 2019-2026 Digital Bazaar, Inc. All rights reserved.
 */
 import {config} from '@bedrock/core';
 
@@ -15,11 +15,51 @@ mockData.baseUrl = config.server.baseUri;
 
 // minimal example open ID config for testing
 mockData.oauth2IssuerConfigRoute = '/.well-known/oauth-authorization-server';
+mockData.openIdConfigRoute = '/.well-known/openid-configuration';
+// set to `true` to simulate an unreachable issuer
+mockData.issuerConfigUnavailable = false;
+// number of requests made to the mock issuer config endpoint
+mockData.issuerConfigRequests = 0;
+// HTTP caching headers to send with issuer config and JWKs responses
+mockData.cacheHeaders = null;
+// number of `304` responses sent for issuer config and JWKs requests
+mockData.notModifiedResponses = 0;
 mockData.oauth2Config = {
   issuer: mockData.baseUrl,
-  jwks_uri: `${mockData.baseUrl}/oauth2/jwks`
+  jwks_uri: `${mockData.baseUrl}/oauth2/jwks`,
+  introspection_endpoint: `${mockData.baseUrl}/oauth2/introspect`
 };
 
+// number of requests made to the mock introspection endpoint
+mockData.introspectionRequests = 0;
+
+// client credentials accepted by the mock introspection endpoint
+mockData.introspectionClient = {
+  clientId: 'resource-server',
+  clientSecret: 'introspection secret'
+};
+
+// opaque access tokens known to the mock introspection endpoint
+mockData.introspectionTokens = new Map([
+  ['active-opaque-token', {
+    active: true,
+    scope: 'read:/',
+    aud: 'test:audience',
+    iss: mockData.baseUrl
+  }],
+  ['inactive-opaque-token', {
+    active: false
+  }],
+  ['expired-opaque-token', {
+    active: true,
+    scope: 'read:/',
+    aud: 'test:audience',
+    iss: mockData.baseUrl,
+    // expired 10 minutes ago
+    exp: Math.floor(Date.now() / 1000 - 600)
+  }]
+]);
+
 // Ed25519 and EC keys
 mockData.ed25519KeyPair = {
   kid: '-iHGX4KWRiuX0aa3sAnhKTw7utzGI2el7HVI4LCFiJg',
@@ -29,6 +69,9 @@ mockData.ed25519KeyPair = {
   x: '-iHGX4KWRiuX0aa3sAnhKTw7utzGI2el7HVI4LCFiJg'
 };
 
+// number of requests made to the mock JWKs endpoint
+mockData.jwksRequests = 0;
+
 mockData.jwks = {
   // Ed25519 public key matches full key pair above
   keys: [{
@@ -56,3 +99,19 @@ mockData.jwks = {
     key_ops: ['verify']
   }]
 };
+
+// self-signed client certificate for mTLS tests
+mockData.clientCertificate = {
+  pem: `-----BEGIN CERTIFICATE-----
+MIIBijCCAS+gAwIBAgIUOKD2tNg595AaX3h0p92igxTMJ7cwCgYIKoZIzj0EAwIw
+GTEXMBUGA1UEAwwOY2xpZW50LmV4YW1wbGUwIBcNMjYxMDE5MDg0MTU1WhgPMjEy
+NjA5MjUwODQxNTVaMBkxFzAVBgNVBAMMDmNsaWVudC5leGFtcGxlMFkwEwYHKoZI
+zj0CAQYIKoZIzj0DAQcDQgAEpaxNP5XSaMU3annqHz640pkpEPlRWXqYUuBZxy2q
+bMnXRgWNxSUaGTA73HWn3U4zEpzw86wv2CVMOZAotmatfqNTMFEwHQYDVR0OBBYE
+FF/b2wHPGkRDw0aaRCd6L+39QVM4MB8GA1UdIwQYMBaAFF/b2wHPGkRDw0aaRCd6
+L+39QVM4MA8GA1UdEwEB/wQFMAMBAf8wCgYIKoZIzj0EAwIDSQAwRgIhAMNelQSo
+33MwgfCdWa+GhY2INjx1yDEu+aLfS0bvTceXAiEAyCearmnlWFX1z3FlNjD0g721
+vpg76Kt5CTYWXJK9rdo=
+-----END CERTIFICATE-----`,
+  'x5t#S256': '8ooPoIiwdVCrpmncHOQaGP4P2URhI_IaINpfS7IGqkE'
+};
@@ -1,22 +1,62 @@
 /*!
- * Copyright (c) 2016-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2016-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as bedrock from '@bedrock/core';
-import '@bedrock/express';
+import {addProtectedResourceMetadataRoutes} from '@bedrock/oauth2-verifier';
+import {express} from '@bedrock/express';
 import '@bedrock/server';
-import '@bedrock/oauth2-verifier';
 
 import {mockData} from './mocha/mock.data.js';
 
 // mock oauth2 authz server routes
 bedrock.events.on('bedrock-express.configure.routes', app => {
+  addProtectedResourceMetadataRoutes({app});
+
   app.get(mockData.oauth2IssuerConfigRoute, (req, res) => {
+    mockData.issuerConfigRequests++;
+    if(mockData.issuerConfigUnavailable) {
+      return res.status(503).json({});
+    }
+    _sendCacheable({req, res, data: mockData.oauth2Config});
+  });
+  app.get(mockData.openIdConfigRoute, (req, res) => {
     res.json(mockData.oauth2Config);
   });
   app.get('/oauth2/jwks', (req, res) => {
-    res.json(mockData.jwks);
+    mockData.jwksRequests++;
+    _sendCacheable({req, res, data: mockData.jwks});
   });
+  app.post(
+    '/oauth2/introspect', express.urlencoded({extended: false}),
+    (req, res) => {
+      mockData.introspectionRequests++;
+      const {clientId, clientSecret} = mockData.introspectionClient;
+      const b64 = Buffer.from(`${clientId}:${clientSecret.replace(/ /g, '+')}`)
+        .toString('base64');
+      if(req.get('authorization') !== `Basic ${b64}`) {
+        return res.status(401).json({error: 'invalid_client'});
+      }
+      const result = mockData.introspectionTokens.get(req.body.token);
+      res.json(result ?? {active: false});
+    });
 });
 
+// sends JSON with any `mockData.cacheHeaders`, responding with `304` to a
+// matching `If-None-Match` header; no `ETag` is otherwise generated and the
+// default no-cache headers set by `@bedrock/express` are removed
+function _sendCacheable({req, res, data}) {
+  res.removeHeader('Cache-Control');
+  res.removeHeader('Expires');
+  const {cacheHeaders} = mockData;
+  if(cacheHeaders) {
+    res.set(cacheHeaders);
+    if(cacheHeaders.ETag && req.get('if-none-match') === cacheHeaders.ETag) {
+      mockData.notModifiedResponses++;
+      return res.status(304).end();
+    }
+  }
+  res.type('json').end(JSON.stringify(data));
+}
+
 import '@bedrock/test';
 bedrock.start();